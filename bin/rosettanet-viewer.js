@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * RosettaNet Viewer CLI
+ * Parses spec files (HTML / text / XSD / DTD) without the UI.
+ *
+ *   rosettanet-viewer parse <file...> [--format json|csv|paths]
+ *
+ * Exits with code 1 when any file cannot be parsed.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { DOMParser } from 'linkedom';
+
+// 解析器使用瀏覽器的 DOMParser，Node 環境以 linkedom 提供
+globalThis.DOMParser = DOMParser;
+
+const { parseRosettaNetSpec, toSpecNodes } = await import('../src/parsers/specParser.js');
+const { buildSpecIndex, buildCanonicalPath } = await import('../src/utils/specTree.js');
+const { toCsv } = await import('../src/utils/csv.js');
+
+const FORMATS = ['json', 'csv', 'paths'];
+
+const USAGE = `Usage: rosettanet-viewer parse <file...> [--format json|csv|paths]
+
+Formats:
+  json   parsed nodes (id, parentId, fieldNo, level, name, description, cardinality)
+  csv    Field #, Level, Name, Cardinality, Path, Definition
+  paths  one canonical path per node (usable in the viewer's path search)`;
+
+const parseArgs = (argv) => {
+    const args = { command: argv[0], files: [], format: 'json', help: false };
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--format' || arg === '-f') args.format = argv[++i];
+        else if (arg.startsWith('--format=')) args.format = arg.slice('--format='.length);
+        else args.files.push(arg);
+    }
+    return args;
+};
+
+const parseFile = async (file) => {
+    const content = await readFile(file, 'utf8');
+    const nodes = toSpecNodes(parseRosettaNetSpec(content));
+    if (nodes.length === 0) {
+        throw new Error("解析成功但沒有找到資料列 (Rows = 0)。");
+    }
+    return nodes;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help || args.command === 'help' || !args.command) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.command !== 'parse') {
+        console.error(`Unknown command: ${args.command}\n\n${USAGE}`);
+        return 2;
+    }
+    if (!FORMATS.includes(args.format)) {
+        console.error(`Unknown format: ${args.format} (expected ${FORMATS.join(', ')})`);
+        return 2;
+    }
+    if (args.files.length === 0) {
+        console.error(`No input files.\n\n${USAGE}`);
+        return 2;
+    }
+
+    const multiple = args.files.length > 1;
+    const results = [];
+    let failed = false;
+
+    for (const file of args.files) {
+        try {
+            results.push({ file, nodes: await parseFile(file) });
+        } catch (err) {
+            failed = true;
+            console.error(`${file}: ${err.message}`);
+        }
+    }
+
+    if (args.format === 'json') {
+        const output = multiple
+            ? results.map(({ file, nodes }) => ({ file: path.basename(file), nodes }))
+            : (results[0] ? results[0].nodes : []);
+        process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    } else if (args.format === 'csv') {
+        const header = ['Field #', 'Level', 'Name', 'Cardinality', 'Path', 'Definition'];
+        const rows = results.flatMap(({ file, nodes }) => {
+            const index = buildSpecIndex(nodes);
+            return nodes.map(node => [
+                ...(multiple ? [path.basename(file)] : []),
+                node.fieldNo,
+                node.level,
+                node.name,
+                node.cardinality,
+                buildCanonicalPath(index, node.id),
+                node.description
+            ]);
+        });
+        process.stdout.write(toCsv(multiple ? ['File', ...header] : header, rows, { bom: false }));
+    } else {
+        results.forEach(({ file, nodes }) => {
+            const index = buildSpecIndex(nodes);
+            nodes.forEach(node => {
+                const nodePath = buildCanonicalPath(index, node.id);
+                process.stdout.write(multiple ? `${path.basename(file)}\t${nodePath}\n` : `${nodePath}\n`);
+            });
+        });
+    }
+
+    return failed ? 1 : 0;
+};
+
+process.exitCode = await main();
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Migrate Firestore files saved before access control
+ * Those files have no `owner` or `visibility`, so the viewer's file list queries
+ * (`owner == uid`, `visibility in [team, readonly]`) never return them. This marks
+ * them as unclaimed team files (`owner: ""`, `visibility: "team"`): every signed-in
+ * user sees them again and the first save still claims them (see firestore.rules).
+ *
+ *   node scripts/migrate-legacy-files.js --project <id> [--dry-run]
+ *
+ * Runs through the Firestore REST API with admin credentials, which bypass the
+ * security rules: GOOGLE_ACCESS_TOKEN (e.g. `gcloud auth print-access-token`), or
+ * FIRESTORE_EMULATOR_HOST (e.g. localhost:8080) to migrate the local emulator.
+ */
+
+const USAGE = `Usage: node scripts/migrate-legacy-files.js --project <id> [--dry-run]
+
+Environment:
+  GOOGLE_ACCESS_TOKEN      OAuth token of an account with Firestore admin access
+  FIRESTORE_EMULATOR_HOST  host:port of the Firestore emulator (no token needed)`;
+
+const PAGE_SIZE = 300;
+
+const parseArgs = (argv) => {
+    const args = { project: '', dryRun: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--project' || arg === '-p') args.project = argv[++i] || '';
+        else if (arg.startsWith('--project=')) args.project = arg.slice('--project='.length);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return args;
+};
+
+const createClient = (project) => {
+    const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+    const token = emulatorHost ? 'owner' : process.env.GOOGLE_ACCESS_TOKEN;
+    if (!token) throw new Error('Set GOOGLE_ACCESS_TOKEN or FIRESTORE_EMULATOR_HOST');
+
+    const origin = emulatorHost ? `http://${emulatorHost}` : 'https://firestore.googleapis.com';
+    const documents = `${origin}/v1/projects/${project}/databases/(default)/documents`;
+
+    const request = async (url, options = {}) => {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Firestore ${response.status}: ${body.error?.message || response.statusText}`);
+        }
+        return body;
+    };
+
+    return { origin, documents, request };
+};
+
+// 列出所有檔案文件 (只取 owner 與 visibility 欄位)
+const listFiles = async ({ documents, request }) => {
+    const files = [];
+    let pageToken = '';
+    do {
+        const params = new URLSearchParams({ pageSize: String(PAGE_SIZE) });
+        params.append('mask.fieldPaths', 'owner');
+        params.append('mask.fieldPaths', 'visibility');
+        if (pageToken) params.set('pageToken', pageToken);
+        const body = await request(`${documents}/files?${params}`);
+        files.push(...(body.documents || []));
+        pageToken = body.nextPageToken || '';
+    } while (pageToken);
+    return files;
+};
+
+const isLegacyFile = (file) => !file.fields?.owner && !file.fields?.visibility;
+
+// 只寫入 owner 與 visibility，其他欄位不變；文件須仍存在
+const markAsTeamFile = ({ origin, request }, file) => {
+    const params = new URLSearchParams({ 'currentDocument.exists': 'true' });
+    params.append('updateMask.fieldPaths', 'owner');
+    params.append('updateMask.fieldPaths', 'visibility');
+    return request(`${origin}/v1/${file.name}?${params}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ fields: { owner: { stringValue: '' }, visibility: { stringValue: 'team' } } }),
+    });
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.project) {
+        console.log(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    const client = createClient(args.project);
+    const legacy = (await listFiles(client)).filter(isLegacyFile);
+    const fileName = (file) => decodeURIComponent(file.name.split('/').pop());
+
+    if (legacy.length === 0) {
+        console.log('No files without owner and visibility found.');
+        return 0;
+    }
+
+    for (const file of legacy) {
+        if (!args.dryRun) await markAsTeamFile(client, file);
+        console.log(`${args.dryRun ? 'Would migrate' : 'Migrated'}: ${fileName(file)}`);
+    }
+    console.log(`${legacy.length} file(s) ${args.dryRun ? 'to migrate' : 'migrated'}.`);
+    return 0;
+};
+
+main().then(code => process.exit(code), error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * RosettaNet Viewer Local Server
+ * Self-hosted storage backend for teams without Google access.
+ * Implements the REST API used by src/services/rest.js and, when `npm run build`
+ * has been run, also serves the viewer itself from dist/.
+ *
+ *   PORT=8787 DATA_DIR=./data node server/index.js
+ *
+ * The API has no authentication, so the server only listens on 127.0.0.1 unless
+ * HOST is set (e.g. HOST=0.0.0.0 to share it on a trusted network), and it sends
+ * no CORS headers: only the viewer it serves (or the Vite dev proxy) can call it.
+ */
+
+import http from 'node:http';
+import { mkdir, readdir, readFile, writeFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'data'));
+const FILES_DIR = path.join(DATA_DIR, 'files');
+const REVISIONS_DIR = path.join(DATA_DIR, 'revisions');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.json': 'application/json; charset=utf-8',
+};
+
+// 多數檔案系統的檔名上限為 255 位元組，需保留 ".json" 副檔名的長度
+const MAX_ENCODED_NAME_BYTES = 255 - '.json'.length;
+
+// 檔名經 encodeURIComponent 編碼後不含路徑分隔字元，避免跳出資料目錄
+// 編碼結果只含 ASCII，非 ASCII 字元會膨脹為 %XX (中文每字 9 位元組)，超過上限時回傳 400 而非 ENAMETOOLONG 的 500
+const encodeName = (name) => {
+    const encoded = encodeURIComponent(name);
+    if (encoded.length > MAX_ENCODED_NAME_BYTES) {
+        throw Object.assign(new Error(`File name too long (${encoded.length} bytes after encoding, limit ${MAX_ENCODED_NAME_BYTES})`), { status: 400 });
+    }
+    return encoded;
+};
+const recordPath = (name) => path.join(FILES_DIR, `${encodeName(name)}.json`);
+const revisionDir = (name) => path.join(REVISIONS_DIR, encodeName(name));
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const parseJsonBody = (text) => {
+    try {
+        return JSON.parse(text || '{}');
+    } catch {
+        throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+    }
+};
+
+const listFiles = async () => {
+    const entries = await readdir(FILES_DIR).catch(() => []);
+    const files = await Promise.all(entries.filter(entry => entry.endsWith('.json')).map(async entry => {
+        const record = JSON.parse(await readFile(path.join(FILES_DIR, entry), 'utf8'));
+        return { name: record.name, updated: record.updated, author: record.author || '' };
+    }));
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const listRevisions = async (name) => {
+    const dir = revisionDir(name);
+    const entries = await readdir(dir).catch(() => []);
+    const revisions = await Promise.all(entries.filter(entry => entry.endsWith('.json')).map(async entry => {
+        const record = JSON.parse(await readFile(path.join(dir, entry), 'utf8'));
+        return { id: record.id, updated: record.updated, author: record.author, comment: record.comment };
+    }));
+    return revisions.sort((a, b) => b.updated.localeCompare(a.updated));
+};
+
+const handleApi = async (req, res, pathname) => {
+    if (pathname === '/api/files' && req.method === 'GET') {
+        sendJson(res, 200, { status: 'success', files: await listFiles() });
+        return;
+    }
+
+    // 先依 "/" 切段再解碼，檔名中的 %2F 不會被誤判為子路徑
+    const match = /^\/api\/files\/([^/]+)(?:\/(revisions)(?:\/([^/]+))?)?$/.exec(pathname);
+    if (!match) {
+        sendJson(res, 404, { status: 'error', message: 'Not found' });
+        return;
+    }
+
+    const name = decodeURIComponent(match[1]);
+    // 過長的檔名無法存成檔案，在讀寫之前先回報 400 (否則 GET 的 try 區塊會把它當成找不到檔案)
+    encodeName(name);
+
+    if (match[2]) {
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { status: 'error', message: 'Method not allowed' });
+            return;
+        }
+        if (!match[3]) {
+            sendJson(res, 200, { status: 'success', revisions: await listRevisions(name) });
+            return;
+        }
+        try {
+            const id = decodeURIComponent(match[3]);
+            const record = JSON.parse(await readFile(path.join(revisionDir(name), `${encodeURIComponent(id)}.json`), 'utf8'));
+            sendJson(res, 200, { status: 'success', ...record });
+        } catch {
+            sendJson(res, 404, { status: 'error', message: 'Revision not found' });
+        }
+        return;
+    }
+
+    if (req.method === 'GET') {
+        try {
+            const record = JSON.parse(await readFile(recordPath(name), 'utf8'));
+            sendJson(res, 200, { status: 'success', ...record });
+        } catch {
+            sendJson(res, 404, { status: 'error', message: 'File not found' });
+        }
+        return;
+    }
+
+    if (req.method === 'PUT') {
+        const body = parseJsonBody(await readBody(req));
+        if (!body || typeof body.content !== 'string') {
+            sendJson(res, 400, { status: 'error', message: 'Missing content' });
+            return;
+        }
+        const author = typeof body.author === 'string' ? body.author : '';
+        const comment = typeof body.comment === 'string' ? body.comment : '';
+        const record = { name, content: body.content, updated: new Date().toISOString(), author };
+        // 時間戳記加亂數作為版本 ID，依字串排序即為儲存順序
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        await mkdir(FILES_DIR, { recursive: true });
+        await mkdir(revisionDir(name), { recursive: true });
+        await writeFile(path.join(revisionDir(name), `${id}.json`), JSON.stringify({ id, ...record, comment }));
+        await writeFile(recordPath(name), JSON.stringify(record));
+        console.log(`Saved ${name}`);
+        sendJson(res, 200, { status: 'success', name, updated: record.updated });
+        return;
+    }
+
+    sendJson(res, 405, { status: 'error', message: 'Method not allowed' });
+};
+
+const serveStatic = async (res, pathname) => {
+    const requested = path.join(DIST_DIR, decodeURIComponent(pathname));
+    // 以相對路徑判斷是否仍在 dist/ 內 (前綴比對會放行 dist-other 等同名開頭的目錄)
+    const relative = path.relative(DIST_DIR, requested);
+    const outside = relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+    const target = outside ? DIST_DIR : requested;
+
+    let filePath = target;
+    const info = await stat(filePath).catch(() => null);
+    if (!info || info.isDirectory()) filePath = path.join(DIST_DIR, 'index.html');
+
+    try {
+        const content = await readFile(filePath);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    } catch {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Viewer not built. Run `npm run build` or use `npm run dev` with this server as the API.');
+    }
+};
+
+// 不送 CORS 標頭：其他網站的頁面無法讀寫範本 (開發時經 Vite proxy 為同源)
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+        if (pathname.startsWith('/api/')) {
+            await handleApi(req, res, pathname);
+        } else {
+            await serveStatic(res, pathname);
+        }
+    } catch (error) {
+        console.error(error);
+        // 無法解碼的網址 (%E0%A4%A 等) 屬於錯誤的請求
+        sendJson(res, error.status || (error instanceof URIError ? 400 : 500), { status: 'error', message: error.message });
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`RosettaNet Viewer server listening on http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}`);
+    console.log(`Data directory: ${DATA_DIR}`);
+});
@@ -1,164 +1,108 @@
-import React, { useState, useMemo, useEffect, useRef } from 'react';
-import { ChevronRight, ChevronDown, Search, X, Layers, Maximize2, Minimize2, Upload, FileText, AlertCircle, CheckCircle2, Save, RefreshCw, Loader2 } from 'lucide-react';
-import { getFiles, getFile, saveFile } from './services/firebase';
-
-// --- 解析邏輯 ---
-
-/**
- * 解析 RosettaNet HTM 檔案內容
- * @param {string} htmlContent - 檔案的 HTML 文字內容
- * @returns {Array} 格式化後的 rawData 陣列
- */
-const parseRosettaNetHtml = (htmlContent) => {
-  // 0. 預處理：清除 Unicode 替換字元 ( / U+FFFD)
-  const cleanContent = htmlContent.replace(/\uFFFD/g, '');
-
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(cleanContent, 'text/html');
-
-  // 1. 建立定義字典 (Name -> Definition)
-  const definitions = {};
-  const tables = Array.from(doc.querySelectorAll('table'));
-
-  tables.forEach(table => {
-    const rows = Array.from(table.querySelectorAll('tr'));
-    // 檢查表頭或內容是否包含定義關鍵字
-    const isDefTable = rows.some(tr => {
-      const text = tr.textContent.toLowerCase();
-      return text.includes('name') && text.includes('definition');
-    });
-
-    if (isDefTable) {
-      rows.forEach(tr => {
-        const tds = tr.querySelectorAll('td');
-        if (tds.length >= 2) {
-          const name = tds[0].textContent.trim();
-          let def = tds[1].textContent.trim();
-
-          // 強健的 Unformatted text 取代邏輯 (忽略大小寫、忽略句點)
-          if (/^unformatted\s*text\.?$/i.test(def)) {
-            def = "";
-          }
-
-          if (name && name.toLowerCase() !== 'name') {
-            definitions[name] = def;
-          }
-        }
-      });
-    }
-  });
-
-  // 2. 解析主結構樹
-  // 策略：尋找包含階層特徵符號 "|--" 且行數最多的表格
-  let mainTable = null;
-  let maxTreeScore = 0;
-
-  tables.forEach(table => {
-    const rows = table.querySelectorAll('tr');
-    if (rows.length > 5) {
-      let score = 0;
-      rows.forEach(tr => {
-        if (tr.textContent.includes('|--')) score++;
-      });
-      if (score > maxTreeScore) {
-        maxTreeScore = score;
-        mainTable = table;
-      }
-    }
-  });
-
-  // 如果找不到明顯的樹狀表，嘗試找欄位數正確的大表
-  if (!mainTable) {
-    console.warn("找不到含有 |-- 的表格，嘗試尋找最大的資料表...");
-    mainTable = tables.sort((a, b) => b.querySelectorAll('tr').length - a.querySelectorAll('tr').length)[0];
+import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
+import { ChevronRight, ChevronDown, ChevronUp, Search, X, Layers, Maximize2, Minimize2, Upload, FileText, AlertCircle, CheckCircle2, Save, RefreshCw, Loader2, Filter, ShieldCheck, FileCode, FileDown, GitCompare, Link2, Copy, Check, Database, History, LogIn, LogOut, Library, StickyNote, FileSpreadsheet, Files, Stethoscope, Boxes } from 'lucide-react';
+import { getFiles, getFile, getFileWithMeta, getFileMeta, saveFile, supportsRevisions, getRevisions, getRevision, subscribeAuth, signIn, signOut, setFileVisibility, supportsAnnotations, subscribeAnnotations, saveAnnotation, deleteAnnotation, BACKENDS, getActiveBackendId, setActiveBackend } from './services/storage';
+import { VISIBILITY_LABELS, canWriteFile, canEditAnnotation, isFileOwner } from './utils/fileAccess';
+import { isMandatory, isOptional, isRepeating } from './utils/cardinality';
+import { buildSpecIndex, buildCanonicalPath, buildXPath } from './utils/specTree';
+import { parseRosettaNetSpec, toSpecNodes, detectPipCode } from './parsers/specParser';
+import { generateSampleXml } from './utils/xmlGenerator';
+import { generateXsd } from './utils/xsdExport';
+import { downloadTextFile, downloadBinaryFile, getBaseName } from './utils/download';
+import { specToCsv, specToXlsx } from './utils/specExport';
+import { collectDroppedFiles, collectInputFiles } from './utils/fileEntries';
+import { parseDeepLink, buildDeepLink } from './utils/deepLink';
+import { parseSearchQuery, runSearchQuery, isQuerySyntax } from './utils/searchQuery';
+import { resolveSearchPath } from './utils/pathSearch';
+import XmlValidatorPanel from './components/XmlValidatorPanel';
+import SpecDiffView from './components/SpecDiffView';
+import RevisionHistoryPanel from './components/RevisionHistoryPanel';
+import LibrarySearchPanel from './components/LibrarySearchPanel';
+import BatchUploadPanel from './components/BatchUploadPanel';
+import ParserDiagnosticsPanel from './components/ParserDiagnosticsPanel';
+import NodeDetailPanel from './components/NodeDetailPanel';
+import TypeUsagePanel from './components/TypeUsagePanel';
+import { useVirtualRows } from './hooks/useVirtualRows';
+
+const ACCEPTED_EXTENSIONS = ['.htm', '.html', '.txt', '.xsd', '.dtd'];
+
+// 樹狀表每列固定高度 (px)，虛擬捲動依此計算可視範圍
+const ROW_HEIGHT = 41;
+
+// 路徑符合多個節點時，搜尋框下方最多列出的候選數
+const MAX_PATH_CANDIDATES = 100;
+
+const AUTHOR_STORAGE_KEY = 'rosettanet-viewer:author';
+
+const NO_ANNOTATIONS = new Map();
+
+// 儲存者名稱記錄於版本歷史；第一次儲存時詢問並記在瀏覽器中
+const getAuthorName = () => {
+  let author = localStorage.getItem(AUTHOR_STORAGE_KEY);
+  if (!author) {
+    author = (prompt("請輸入您的名稱 (記錄於版本歷史):", "") || "").trim();
+    if (author) localStorage.setItem(AUTHOR_STORAGE_KEY, author);
   }
+  return author || "";
+};
 
-  if (!mainTable) {
-    throw new Error("無法識別任何有效的表格結構，請確認檔案內容。");
-  }
-
-  const rawData = [];
-  const rows = Array.from(mainTable.querySelectorAll('tr'));
-
-  // 追蹤每一層最後出現的 ID，用於建立父子關係
-  // parentIds[level] = id
-  const parentIds = { "-1": 0 };
-
-  rows.forEach((tr) => {
-    const tds = tr.querySelectorAll('td');
-    // 確保這一行至少有 3 欄 (ID, Cardinality/Count, Name)
-    if (tds.length < 3) return;
-
-    // 嘗試解析欄位 1: ID
-    const fieldNoStr = tds[0].textContent.trim();
-    // 有些檔案 ID 是放在 <a> 標籤內，濾掉非數字字元
-    const cleanIdStr = fieldNoStr.replace(/[^\d]/g, '');
-    const id = parseInt(cleanIdStr, 10);
-
-    if (isNaN(id)) return; // 如果第一欄不是數字，跳過 (可能是表頭)
-
-    // 嘗試取得名稱欄位：通常在第 3 欄 (Index 2)
-    let nameTd = tds[2];
-    let rawNameText = nameTd.textContent;
-
-    // 處理 HTML Entity (如 &nbsp;)
-    rawNameText = rawNameText.replace(/\u00a0/g, " ");
-
-    // 計算層級：計算 "|" 的數量
-    const pipeCount = (rawNameText.match(/\|/g) || []).length;
-    let level = pipeCount;
-
-    // 清理名稱：移除 "|", "--", 點點等符號
-    let cleanName = rawNameText.replace(/[|\-]/g, '').trim();
-
-    // 假如 cleanName 是空的 (或是只有點)，可能抓錯欄位或格式特殊
-    if (!cleanName && tds.length > 3) {
-      // 嘗試下一欄
-      rawNameText = tds[3].textContent;
-      cleanName = rawNameText.replace(/[|\-]/g, '').trim();
-    }
-
-    // 處理 parentId
-    const parentId = parentIds[level - 1] !== undefined ? parentIds[level - 1] : 0;
-
-    // 更新當前層級的 ID
-    parentIds[level] = id;
+// --- 上傳元件 ---
 
-    // 查詢 Description
-    let description = "";
-    const parts = cleanName.split('.');
+const isAcceptedFile = (name) => ACCEPTED_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
 
-    // 優先順序：完整名稱 -> 屬性名(parts[0]) -> 類型名(parts[1])
-    if (definitions[cleanName]) {
-      description = definitions[cleanName];
-    } else if (parts.length > 0 && definitions[parts[0]]) {
-      description = definitions[parts[0]];
-    } else if (parts.length > 1 && definitions[parts[1]]) {
-      description = definitions[parts[1]];
+// 批次上傳：逐一讀取並解析，失敗的檔案記錄錯誤訊息而不中斷其他檔案
+const parseBatchFiles = async (items) => {
+  const results = [];
+  for (const { file, path } of items) {
+    const result = { path, name: file.name, content: '', parsedData: [], rowCount: 0, pip: '', error: null };
+    try {
+      result.content = await file.text();
+      result.parsedData = parseRosettaNetSpec(result.content);
+      result.rowCount = result.parsedData.length;
+      result.pip = detectPipCode(result.parsedData, result.content, file.name);
+      if (result.rowCount === 0) result.error = "沒有找到資料列 (Rows = 0)";
+    } catch (err) {
+      result.error = err.message;
     }
-
-    // [id, parentId, fieldNo, level, name, description]
-    rawData.push([id, parentId, fieldNoStr, level, cleanName, description]);
-  });
-
-  return rawData;
+    results.push(result);
+  }
+  return results;
 };
 
-
-// --- 上傳元件 ---
-
-const FileUpload = ({ onDataLoaded }) => {
+const FileUpload = ({ onDataLoaded, onBatchLoaded }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
+  // 單一檔案直接開啟；多個檔案或資料夾進入批次結果
+  const processItems = async (items) => {
+    setError(null);
+    const accepted = items.filter(item => isAcceptedFile(item.file.name));
+    if (accepted.length === 0) {
+      setError("請上傳 .htm、.html、.txt、.xsd 或 .dtd 檔案");
+      return;
+    }
+    // 資料夾中的檔案路徑含有 "/"
+    if (items.length === 1 && !items[0].path.includes('/')) {
+      processFile(items[0].file);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      onBatchLoaded(await parseBatchFiles(accepted), items.length - accepted.length);
+    } catch (err) {
+      setError("批次處理失敗: " + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const processFile = (file) => {
     setError(null);
     if (!file) return;
 
-    const fileName = file.name.toLowerCase();
-    if (!fileName.endsWith('.htm') && !fileName.endsWith('.html') && !fileName.endsWith('.txt')) {
-      setError("請上傳 .htm 或 .html 檔案");
+    if (!isAcceptedFile(file.name)) {
+      setError("請上傳 .htm、.html、.txt、.xsd 或 .dtd 檔案");
       return;
     }
 
@@ -168,7 +112,7 @@ const FileUpload = ({ onDataLoaded }) => {
     reader.onload = (e) => {
       try {
         const content = e.target.result;
-        const parsedData = parseRosettaNetHtml(content);
+        const parsedData = parseRosettaNetSpec(content);
 
         if (parsedData.length === 0) {
           throw new Error("解析成功但沒有找到資料列 (Rows = 0)。");
@@ -201,19 +145,21 @@ const FileUpload = ({ onDataLoaded }) => {
     setIsDragging(false);
   };
 
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     setIsDragging(false);
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-      processFile(files[0]);
+    const items = await collectDroppedFiles(e.dataTransfer);
+    if (items.length > 0) {
+      processItems(items);
     }
   };
 
+  // 檔案與資料夾選擇共用 (資料夾選擇時 webkitRelativePath 含資料夾名稱)
   const handleFileSelect = (e) => {
-    const files = e.target.files;
-    if (files.length > 0) {
-      processFile(files[0]);
+    const items = collectInputFiles(e.target.files);
+    e.target.value = '';
+    if (items.length > 0) {
+      processItems(items);
     }
   };
 
@@ -233,7 +179,15 @@ const FileUpload = ({ onDataLoaded }) => {
           type="file"
           id="fileInput"
           className="hidden"
-          accept=".htm,.html,.txt"
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          multiple
+          onChange={handleFileSelect}
+        />
+        <input
+          type="file"
+          id="folderInput"
+          className="hidden"
+          webkitdirectory=""
           onChange={handleFileSelect}
         />
 
@@ -250,12 +204,20 @@ const FileUpload = ({ onDataLoaded }) => {
             </div>
             <h3 className="text-xl font-bold text-slate-700 mb-2">上傳 RosettaNet 規範</h3>
             <p className="text-slate-500 text-center mb-6">
-              拖放檔案或點擊上傳<br />
-              <span className="text-xs text-slate-400 mt-2 block">(支援 .htm / .html)</span>
+              拖放檔案或點擊上傳，可一次選擇多個檔案或整個資料夾<br />
+              <span className="text-xs text-slate-400 mt-2 block">(支援 .htm / .html / .txt / .xsd / .dtd)</span>
             </p>
-            <button className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors shadow-sm font-medium">
-              選擇檔案
-            </button>
+            <div className="flex gap-3">
+              <button className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors shadow-sm font-medium">
+                選擇檔案
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); document.getElementById('folderInput').click(); }}
+                className="px-6 py-2 bg-white text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 transition-colors shadow-sm font-medium"
+              >
+                選擇資料夾
+              </button>
+            </div>
           </>
         )}
       </div>
@@ -282,6 +244,29 @@ function App() {
   const [searchTerm, setSearchTerm] = useState('');
   const [highlightedIds, setHighlightedIds] = useState(new Set());
   const [searchMode, setSearchMode] = useState('keyword');
+  const [queryError, setQueryError] = useState(null);
+  const [pathResult, setPathResult] = useState(null);
+  // 目前所在的搜尋結果 (ids 為產生此游標的 highlightedIds；搜尋結果改變後回到第一筆)
+  const [matchCursor, setMatchCursor] = useState({ ids: null, position: 0 });
+  const [showMandatoryOnly, setShowMandatoryOnly] = useState(false);
+  const [showAnnotatedOnly, setShowAnnotatedOnly] = useState(false);
+  const [showValidator, setShowValidator] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  // 點選列時開啟的節點詳細資料側欄
+  const [selectedNodeId, setSelectedNodeId] = useState(null);
+  // 型別 / Where Used 面板，typesFocus 為開啟時選取的型別
+  const [showTypes, setShowTypes] = useState(false);
+  const [typesFocus, setTypesFocus] = useState(null);
+  // 手動指定的解析設定 (表格與欄位配置)，null 為自動判斷；只套用於目前檢視
+  const [parseOptions, setParseOptions] = useState(null);
+  const [showDiff, setShowDiff] = useState(false);
+  const [diffSources, setDiffSources] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showLibrarySearch, setShowLibrarySearch] = useState(false);
+  // 批次上傳結果 { results, skippedCount }，開啟其中一個檔案後仍保留以便回到清單
+  const [batchUpload, setBatchUpload] = useState(null);
+  const [showBatch, setShowBatch] = useState(false);
+  const [copiedKey, setCopiedKey] = useState(null);
 
   // GAS Storage State
   const [fileList, setFileList] = useState([]);
@@ -290,45 +275,171 @@ function App() {
   const [isSaving, setIsSaving] = useState(false);
   const [isLoadingList, setIsLoadingList] = useState(false);
   const [isFileLoading, setIsFileLoading] = useState(false);
+  const [storageBackend, setStorageBackend] = useState(getActiveBackendId);
+  const [canViewHistory, setCanViewHistory] = useState(false);
+  const [canUseAnnotations, setCanUseAnnotations] = useState(false);
+  // 備註依檔案記錄，切換檔案時不會短暫顯示前一個檔案的備註
+  const [annotationState, setAnnotationState] = useState({ file: '', byKey: new Map() });
+  // 需要登入的後端 (Firestore) 回報 enabled: true
+  const [authState, setAuthState] = useState({ enabled: false, user: null });
+  // 載入時的雲端版本資訊，儲存前用來偵測他人是否已更新
+  const [loadedMeta, setLoadedMeta] = useState(null);
+  const [viewedRevision, setViewedRevision] = useState(null);
+
+  // 每個檔案建立一次索引 (子節點、祖先、路徑)
+  const index = useMemo(() => buildSpecIndex(data), [data]);
+
+  // 備註需要雲端檔案 (以檔名 + 節點路徑為鍵)，Firestore 另需登入
+  const annotationsEnabled = canUseAnnotations && Boolean(selectedFile) && (!authState.enabled || Boolean(authState.user));
+  const annotations = annotationsEnabled && annotationState.file === selectedFile ? annotationState.byKey : NO_ANNOTATIONS;
+  const selectedNode = selectedNodeId !== null ? index.byId.get(selectedNodeId) || null : null;
 
-  // Load file list from GAS
+  useEffect(() => {
+    if (!annotationsEnabled) return undefined;
+    return subscribeAnnotations(selectedFile, list => {
+      setAnnotationState({ file: selectedFile, byKey: new Map(list.map(annotation => [annotation.key, annotation])) });
+    });
+  }, [annotationsEnabled, selectedFile]);
+
+  // 依存取規則隱藏無法執行的儲存動作 (無權覆寫目前檔案時仍可另存新檔)
+  const canSave = !authState.enabled || Boolean(authState.user);
+  const canWriteCurrent = canWriteFile(selectedFile ? loadedMeta : null, authState);
+
+  // Load file list from the active storage backend
   useEffect(() => {
     fetchFileList();
   }, []);
 
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([supportsRevisions(), supportsAnnotations()])
+      .then(([revisions, annotations]) => {
+        if (cancelled) return;
+        setCanViewHistory(revisions);
+        setCanUseAnnotations(annotations);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setCanViewHistory(false);
+        setCanUseAnnotations(false);
+      });
+    return () => { cancelled = true; };
+  }, [storageBackend]);
+
+  // 登入狀態改變時，可讀取的檔案清單也會改變
+  useEffect(() => subscribeAuth(next => {
+    setAuthState(next);
+    if (next.enabled) fetchFileList();
+  }), [storageBackend]);
+
+  // 只採用最後一次請求的結果：切換後端後，前一個後端較慢的回應不會蓋掉新清單
+  const fileListRequestRef = useRef(0);
   const fetchFileList = async () => {
+    const requestId = ++fileListRequestRef.current;
     setIsLoadingList(true);
     try {
       const files = await getFiles();
-      setFileList(files);
+      if (requestId === fileListRequestRef.current) setFileList(files);
     } catch (err) {
       console.error("Failed to load file list", err);
     } finally {
-      setIsLoadingList(false);
+      if (requestId === fileListRequestRef.current) setIsLoadingList(false);
     }
   };
 
-  const handleGasFileSelect = async (e) => {
-    const filename = e.target.value;
-    if (!filename) return;
+  const handleBackendChange = (id) => {
+    setActiveBackend(id);
+    setStorageBackend(id);
+    setSelectedFile("");
+    setLoadedMeta(null);
+    setShowHistory(false);
+    setFileList([]);
+    fetchFileList();
+  };
+
+  const handleDataLoaded = useCallback((parsedData, name, rawContent) => {
+    const formattedData = toSpecNodes(parsedData);
+
+    setData(formattedData);
+    setFileName(name);
+    setRawFileContent(rawContent || ""); // Save raw content
+    setViewedRevision(null);
+    setParseOptions(null);
+    setSelectedNodeId(null);
+    // 預設全收合 (不展開任何節點)
+    setExpandedIds(new Set());
+  }, []);
+
+  // 上傳的檔案不屬於雲端，清除雲端選擇 (連結中不帶 file)
+  const handleUploadLoaded = (parsedData, name, rawContent) => {
+    setSelectedFile("");
+    setLoadedMeta(null);
+    setShowHistory(false);
+    handleDataLoaded(parsedData, name, rawContent);
+  };
 
+  /**
+   * 載入雲端檔案
+   * @returns {Promise<boolean>} 是否成功載入
+   */
+  const openCloudFile = useCallback(async (filename) => {
     setSelectedFile(filename);
     setIsFileLoading(true);
     try {
       // Small delay to ensure UI updates (optional, but feels better)
       await new Promise(resolve => setTimeout(resolve, 100));
 
-      const content = await getFile(filename);
+      // 版本資訊與內容取自同一次讀取，儲存時才能正確判斷其間是否有人更新
+      const { content, meta } = await getFileWithMeta(filename);
       if (content) {
         // Parse the content
-        const parsedData = parseRosettaNetHtml(content);
+        const parsedData = parseRosettaNetSpec(content);
         handleDataLoaded(parsedData, filename, content);
+        setLoadedMeta(meta);
+        return true;
       }
+      return false;
     } catch (err) {
       alert("載入檔案失敗: " + err.message);
+      return false;
     } finally {
       setIsFileLoading(false);
     }
+  }, [handleDataLoaded]);
+
+  const handleSignIn = async () => {
+    try {
+      await signIn();
+    } catch (err) {
+      alert("登入失敗: " + err.message);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    setLoadedMeta(null);
+    setShowHistory(false);
+  };
+
+  const handleVisibilityChange = async (visibility) => {
+    try {
+      await setFileVisibility(selectedFile, visibility);
+      setLoadedMeta(await getFileMeta(selectedFile));
+      fetchFileList();
+    } catch (err) {
+      alert("變更權限失敗: " + err.message);
+    }
+  };
+
+  // 登入後以帳號名稱記錄作者，否則沿用瀏覽器中記住的名稱
+  const currentAuthorName = () => (
+    authState.user ? (authState.user.displayName || authState.user.email) : getAuthorName()
+  );
+
+  const handleGasFileSelect = (e) => {
+    const filename = e.target.value;
+    if (!filename) return;
+    openCloudFile(filename);
   };
 
   const handleSaveToGas = async () => {
@@ -342,9 +453,36 @@ function App() {
 
     setIsSaving(true);
     try {
-      const success = await saveFile(name, rawFileContent);
+      // 覆寫保護：同名檔案在載入後被他人更新，或要覆寫另一個既有檔案時先確認；
+      // 無法讀取雲端版本資訊時不可當作檔案不存在，直接取消儲存
+      let existing;
+      try {
+        existing = await getFileMeta(name);
+      } catch (err) {
+        alert(`無法確認雲端上的「${name}」是否已被他人更新 (${err.message})，為避免覆寫對方的變更，已取消儲存。`);
+        return;
+      }
+      if (!canWriteFile(existing, authState)) {
+        alert(`沒有權限覆寫「${name}」(${VISIBILITY_LABELS[existing.visibility]}，擁有者 ${existing.ownerName || "其他使用者"})，請改用其他檔名。`);
+        return;
+      }
+      if (existing && name === selectedFile && loadedMeta && existing.updated !== loadedMeta.updated) {
+        const by = existing.author || "其他使用者";
+        if (!confirm(`「${name}」在您載入後已被 ${by} 於 ${new Date(existing.updated).toLocaleString()} 更新。\n繼續儲存將覆寫對方的變更 (對方的版本仍保留在版本歷史中)，確定要繼續嗎？`)) return;
+      } else if (existing && name === selectedFile && !loadedMeta) {
+        if (!confirm(`無法確認「${name}」載入時的版本，雲端版本由 ${existing.author || "其他使用者"} 於 ${new Date(existing.updated).toLocaleString()} 更新。\n繼續儲存可能覆寫他人的變更 (對方的版本仍保留在版本歷史中)，確定要繼續嗎？`)) return;
+      } else if (existing && name !== selectedFile) {
+        if (!confirm(`雲端已有「${name}」(最後更新 ${new Date(existing.updated).toLocaleString()})，確定要覆寫嗎？`)) return;
+      }
+
+      const comment = prompt("版本說明 (選填):", "");
+      if (comment === null) return;
+
+      const success = await saveFile(name, rawFileContent, { author: currentAuthorName(), comment });
       if (success) {
         alert("儲存成功！");
+        setSelectedFile(name);
+        setLoadedMeta(await getFileMeta(name).catch(() => null));
         fetchFileList(); // Refresh list
       }
     } catch (err) {
@@ -354,23 +492,6 @@ function App() {
     }
   };
 
-  const handleDataLoaded = (parsedData, name, rawContent) => {
-    const formattedData = parsedData.map(item => ({
-      id: item[0],
-      parentId: item[1],
-      fieldNo: item[2],
-      level: item[3],
-      name: item[4],
-      description: item[5]
-    }));
-
-    setData(formattedData);
-    setFileName(name);
-    setRawFileContent(rawContent || ""); // Save raw content
-    // 預設全收合 (不展開任何節點)
-    setExpandedIds(new Set());
-  };
-
   const toggleNode = (id) => {
     const newExpanded = new Set(expandedIds);
     if (newExpanded.has(id)) {
@@ -382,10 +503,7 @@ function App() {
   };
 
   const expandAll = () => {
-    const allParentIds = new Set(data.filter(item =>
-      data.some(child => child.parentId === item.id)
-    ).map(item => item.id));
-    setExpandedIds(allParentIds);
+    setExpandedIds(new Set(index.children.keys()));
   };
 
   const collapseAll = () => {
@@ -396,19 +514,165 @@ function App() {
     setSearchTerm('');
     setHighlightedIds(new Set());
     setSearchMode('keyword');
+    setShowMandatoryOnly(false);
+    setShowAnnotatedOnly(false);
     collapseAll();
   };
 
   const resetFile = () => {
     setData([]);
     setFileName("");
+    setSelectedFile("");
+    setLoadedMeta(null);
+    setShowValidator(false);
+    setShowDiagnostics(false);
+    setShowTypes(false);
+    setSelectedNodeId(null);
+    setShowHistory(false);
     clearView();
   };
 
+  // 診斷面板改選表格或欄位配置後，以同一份原始內容重新解析
+  const handleReparse = (options) => {
+    try {
+      const parsedData = parseRosettaNetSpec(rawFileContent, options || undefined);
+      if (parsedData.length === 0) {
+        alert("此設定沒有解析出任何資料列，請改選其他表格或欄位");
+        return;
+      }
+      setData(toSpecNodes(parsedData));
+      setParseOptions(options);
+      setSelectedNodeId(null);
+      setExpandedIds(new Set());
+    } catch (err) {
+      alert("重新解析失敗: " + err.message);
+    }
+  };
+
+  const handleGenerateSampleXml = (mode) => {
+    const xml = generateSampleXml(data, { mode });
+    downloadTextFile(`${getBaseName(fileName)}-sample-${mode}.xml`, xml, 'application/xml');
+  };
+
+  const loadCloudSpec = async (name) => {
+    const content = await getFile(name);
+    return toSpecNodes(parseRosettaNetSpec(content));
+  };
+
+  const loadRevisions = useCallback(() => getRevisions(selectedFile), [selectedFile]);
+  const loadRevisionContent = useCallback((id) => getRevision(selectedFile, id), [selectedFile]);
+
+  const handleViewRevision = (revision, content) => {
+    handleDataLoaded(parseRosettaNetSpec(content), selectedFile, content);
+    setViewedRevision(revision);
+  };
+
+  const handleRestoreRevision = async (revision, content) => {
+    const comment = `還原為 ${new Date(revision.updated).toLocaleString()} 的版本`;
+    await saveFile(selectedFile, content, { author: currentAuthorName(), comment });
+    await openCloudFile(selectedFile);
+    fetchFileList();
+  };
+
+  // 版本歷史中的比較：只選一個版本時與目前檔案比較
+  const handleCompareRevisions = (left, right) => {
+    setDiffSources({ left, right: right || { name: fileName, data } });
+    setShowDiff(true);
+  };
+
+  const handleExportXsd = () => {
+    const xsd = generateXsd(data, { sourceName: fileName });
+    downloadTextFile(`${getBaseName(fileName)}.xsd`, xsd, 'application/xml');
+  };
+
+  // 匯出表格：all = 整棵樹，visible = 目前顯示的列，matches = 搜尋結果
+  const handleExportTable = (format, scope) => {
+    const nodes = scope === 'all' ? data
+      : scope === 'visible' ? visibleItems
+        : data.filter(item => highlightedIds.has(item.id));
+    const baseName = `${getBaseName(fileName)}${scope === 'all' ? '' : `-${scope}`}`;
+
+    if (format === 'xlsx') {
+      downloadBinaryFile(`${baseName}.xlsx`, specToXlsx(nodes, index, { sheetName: getBaseName(fileName) }), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+      downloadTextFile(`${baseName}.csv`, specToCsv(nodes, index), 'text/csv');
+    }
+  };
+
+  // 定位到指定節點：展開所有祖先並高亮 (與路徑搜尋相同的呈現方式)
+  const locateNode = useCallback((id) => {
+    setExpandedIds(prev => {
+      const newExpanded = new Set(prev);
+      index.getAncestorIds(id).forEach(ancestorId => newExpanded.add(ancestorId));
+      return newExpanded;
+    });
+    setShowMandatoryOnly(false);
+    setShowAnnotatedOnly(false);
+    setSearchMode('locate');
+    setHighlightedIds(new Set([id]));
+  }, [index]);
+
+  // 側欄中的子節點或同類型連結：切換選取並定位到樹狀表中
+  const selectAndLocateNode = (id) => {
+    setSelectedNodeId(id);
+    locateNode(id);
+  };
+
+  const openWhereUsed = (type) => {
+    setTypesFocus(type);
+    setShowTypes(true);
+  };
+
+  // 複製節點的完整路徑或 XPath (皆可貼回搜尋框定位到同一節點)
+  const copyNodePath = async (id, format) => {
+    const text = format === 'xpath' ? buildXPath(index, id) : buildCanonicalPath(index, id);
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopiedKey(`${id}:${format}`);
+      setTimeout(() => setCopiedKey(null), 1500);
+    } catch {
+      prompt("複製此路徑:", text);
+    }
+  };
+
+  // 以 prompt 編輯備註；清空即刪除。他人的備註只有可儲存此檔案的人能改，其他人僅能檢視
+  const editAnnotation = async (item) => {
+    const key = index.keys.get(item.id);
+    const existing = annotations.get(key);
+    if (existing && !canEditAnnotation(existing, loadedMeta, authState)) {
+      alert(`「${item.name}」的備註 (${existing.author || '-'}):\n\n${existing.note}\n\n只有備註作者或可儲存此檔案的人能修改。`);
+      return;
+    }
+    const input = prompt(`「${item.name}」的備註 (例如對應的 SAP 欄位)，清空即刪除:`, existing ? existing.note : "");
+    if (input === null) return;
+
+    const note = input.trim();
+    try {
+      if (note) {
+        await saveAnnotation(selectedFile, key, note, currentAuthorName());
+      } else if (existing) {
+        await deleteAnnotation(selectedFile, key);
+      }
+    } catch (err) {
+      alert("儲存備註失敗: " + err.message);
+    }
+  };
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+    } catch {
+      prompt("複製此連結:", window.location.href);
+    }
+  };
+
   // 搜尋與路徑處理邏輯
   useEffect(() => {
     if (data.length === 0) return;
 
+    setQueryError(null);
+    setPathResult(null);
+
     if (!searchTerm.trim()) {
       setHighlightedIds(new Set());
       setSearchMode('keyword');
@@ -417,166 +681,224 @@ function App() {
 
     let trimmedTerm = searchTerm.trim();
 
+    // 查詢語法 (欄位條件、AND/OR/NOT、括號、/regex/) 優先於路徑搜尋
+    const isQuery = isQuerySyntax(trimmedTerm);
+
     // 檢查是否為路徑搜尋 (包含 / 或是 Pip 開頭)
-    if (trimmedTerm.includes('/') || trimmedTerm.startsWith('Pip')) {
+    if (!isQuery && (trimmedTerm.includes('/') || trimmedTerm.startsWith('Pip'))) {
       setSearchMode('path');
 
-      let path = trimmedTerm;
-
-      // 1. 移除前綴與雜訊
-      path = path.replace(/^\/?Pip[^\/]+\//, ''); // 移除 /PipXXXX/
-      path = path.replace(/\[\d*\]/g, ""); // 移除 [0]
-
-      // 2. 清理前後斜線
-      if (path.startsWith('/')) path = path.substring(1);
-      if (path.endsWith('/')) path = path.substring(0, path.length - 1);
-
-      const segments = path.split('/').filter(Boolean);
-
-      const newExpanded = new Set();
-      let currentParentId = 0; // 假設根節點 parentId 為 0
-      let matchedNodeId = null;
-      let i = 0;
-
-      // 開始路徑遍歷
-      while (i < segments.length) {
-        const segment = segments[i];
-        const nextSegment = segments[i + 1];
-
-        // 找出目前層級的所有子節點
-        const children = data.filter(d => d.parentId === currentParentId);
-
-        let foundMatch = false;
-
-        // 策略 1: 複合名稱匹配 (e.g., telephoneNumber + . + CommunicationsNumber)
-        if (nextSegment) {
-          const compoundName = `${segment}.${nextSegment}`;
-          const match = children.find(c => c.name.toLowerCase() === compoundName.toLowerCase() || c.name.includes(compoundName));
-          if (match) {
-            newExpanded.add(match.id);
-            currentParentId = match.id;
-            matchedNodeId = match.id;
-            i += 2; // 跳過兩個 segment
-            foundMatch = true;
-            continue;
-          }
-        }
-
-        // 策略 2: 單一名稱匹配
-        if (!foundMatch) {
-          // 寬鬆匹配: 節點名稱包含 segment 即可
-          const match = children.find(c => c.name.toLowerCase() === segment.toLowerCase() || c.name.includes(segment));
-          if (match) {
-            newExpanded.add(match.id);
-            currentParentId = match.id;
-            matchedNodeId = match.id;
-            i += 1;
-            foundMatch = true;
-            continue;
-          }
-        }
-
-        // 策略 3: 自動嘗試插入 Choice 層級 (遞迴修正)
-        // 如果當前 segment 找不到，但它是 WorkInProcess 等特殊路徑的一部分
-        // 我們檢查子節點中是否有 "Choice" 節點，如果有，嘗試進入 Choice 再找一次 segment
-        if (!foundMatch) {
-          const choiceNode = children.find(c => c.name === 'Choice' || c.name === '(Choice)');
-          if (choiceNode) {
-            // 暫時展開 Choice 節點
-            const choiceChildren = data.filter(d => d.parentId === choiceNode.id);
-            // 在 Choice 的子節點中尋找當前的 segment
-            const matchInChoice = choiceChildren.find(c => c.name.toLowerCase() === segment.toLowerCase() || c.name.includes(segment));
-
-            if (matchInChoice) {
-              console.log(`Auto-resolved Choice path at segment: ${segment}`);
-              newExpanded.add(choiceNode.id); // 展開 Choice
-              newExpanded.add(matchInChoice.id); // 展開目標
-
-              currentParentId = matchInChoice.id;
-              matchedNodeId = matchInChoice.id;
-              i += 1;
-              foundMatch = true;
-              continue;
-            }
-          }
-        }
-
-        // 如果這層真的找不到，就停止
-        if (!foundMatch) {
-          console.log(`Search stopped at segment: ${segment}, ParentID: ${currentParentId}`);
-          break;
-        }
-      }
-
-      if (matchedNodeId) {
+      // 解析路徑 (* 萬用字元、// 任意層級、可省略 Choice)；找不到時標示最深定位到的節點
+      const result = resolveSearchPath(index, trimmedTerm);
+      setPathResult(result);
+      const targets = result.matches.length > 0 ? result.matches : (result.failure?.reachedIds || []);
+
+      if (targets.length > 0) {
+        const newExpanded = new Set();
+        targets.forEach(id => {
+          index.getAncestorIds(id).forEach(ancestorId => newExpanded.add(ancestorId));
+        });
+        // 單一結果 (或失敗時停下的節點) 一併展開，顯示其子節點
+        if (result.matches.length <= 1) targets.forEach(id => newExpanded.add(id));
         setExpandedIds(newExpanded);
-        setHighlightedIds(new Set([matchedNodeId]));
-      } else {
-        setHighlightedIds(new Set());
       }
+      setHighlightedIds(new Set(targets));
 
     } else {
-      // 關鍵字搜尋模式
+      // 關鍵字 / 查詢搜尋模式 (一般關鍵字即比對名稱或 Field #)
       setSearchMode('keyword');
-      const lowerTerm = trimmedTerm.toLowerCase();
 
-      const matches = data.filter(item =>
-        item.name.toLowerCase().includes(lowerTerm) ||
-        item.fieldNo.includes(lowerTerm)
-      );
+      let matches;
+      try {
+        const query = parseSearchQuery(trimmedTerm);
+        matches = query ? runSearchQuery(query, data, index) : [];
+      } catch (err) {
+        setQueryError(err.message);
+        setHighlightedIds(new Set());
+        return;
+      }
 
       const newHighlighted = new Set(matches.map(m => m.id));
       const newExpanded = new Set(expandedIds);
 
       matches.forEach(match => {
-        let currentParentId = match.parentId;
-        while (currentParentId !== 0) {
-          newExpanded.add(currentParentId);
-          const parent = data.find(d => d.id === currentParentId);
-          if (parent) {
-            currentParentId = parent.parentId;
-          } else {
-            break;
-          }
-        }
+        index.getAncestorIds(match.id).forEach(ancestorId => newExpanded.add(ancestorId));
       });
 
       setHighlightedIds(newHighlighted);
       setExpandedIds(newExpanded);
     }
-  }, [searchTerm, data]);
+  }, [searchTerm, data, index]);
+
+  // --- 深層連結 (#file=...&q=...&node=...) ---
+
+  // 待套用的連結：開啟頁面時讀取網址，瀏覽器上一頁/下一頁時重新讀取
+  const [pendingLink, setPendingLink] = useState(() => parseDeepLink(window.location.hash));
+  const [pendingNodeId, setPendingNodeId] = useState(null);
+
+  useEffect(() => {
+    const handlePopState = () => setPendingLink(parseDeepLink(window.location.hash) || { file: '', q: '', node: null });
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    if (!pendingLink) return;
+
+    // 先載入連結指定的雲端檔案，載入完成後再套用搜尋與節點
+    if (pendingLink.file && pendingLink.file !== selectedFile) {
+      openCloudFile(pendingLink.file).then(success => {
+        if (!success) setPendingLink(null);
+      });
+      return;
+    }
+    if (pendingLink.file && (isFileLoading || fileName !== pendingLink.file)) return;
+
+    setSearchTerm(pendingLink.q);
+    setPendingNodeId(pendingLink.node);
+    setPendingLink(null);
+  }, [pendingLink, selectedFile, fileName, isFileLoading, openCloudFile]);
+
+  // 全庫搜尋結果與深層連結走相同流程：載入檔案後定位節點
+  const handleLibraryOpen = (file, nodeId) => {
+    setShowLibrarySearch(false);
+    setPendingLink({ file, q: '', node: nodeId });
+  };
+
+  const handleBatchLoaded = (results, skippedCount) => {
+    setBatchUpload({ results, skippedCount });
+    setShowBatch(true);
+  };
+
+  const handleBatchOpen = (result) => {
+    setShowBatch(false);
+    handleUploadLoaded(result.parsedData, result.name, result.content);
+  };
+
+  const batchUploadPanel = showBatch && batchUpload && (
+    <BatchUploadPanel
+      results={batchUpload.results}
+      skippedCount={batchUpload.skippedCount}
+      fileList={fileList}
+      canSave={canSave}
+      canOverwrite={meta => canWriteFile(meta, authState)}
+      getMeta={getFileMeta}
+      onSave={(name, content) => saveFile(name, content, { author: currentAuthorName(), comment: '批次上傳' })}
+      onSaved={fetchFileList}
+      onOpen={handleBatchOpen}
+      onClose={() => setShowBatch(false)}
+    />
+  );
 
+  const librarySearchPanel = showLibrarySearch && (
+    <LibrarySearchPanel
+      key={storageBackend}
+      onOpen={handleLibraryOpen}
+      onClose={() => setShowLibrarySearch(false)}
+    />
+  );
+
+  // 節點定位需在搜尋處理之後執行，避免被搜尋結果覆蓋
+  useEffect(() => {
+    if (pendingNodeId === null) return;
+    if (index.byId.has(pendingNodeId)) locateNode(pendingNodeId);
+    setPendingNodeId(null);
+  }, [pendingNodeId, index, locateNode]);
+
+  // 目前位置寫回網址 (延遲寫入，輸入搜尋時只產生一筆歷史紀錄)
+  const currentLink = buildDeepLink({
+    file: selectedFile,
+    q: searchTerm.trim(),
+    node: searchMode === 'locate' && highlightedIds.size === 1 ? Array.from(highlightedIds)[0] : null
+  });
+
+  useEffect(() => {
+    if (pendingLink || pendingNodeId !== null) return;
+    if (currentLink === window.location.hash) return;
+
+    const timer = setTimeout(() => {
+      window.history.pushState(null, '', currentLink || `${window.location.pathname}${window.location.search}`);
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [currentLink, pendingLink, pendingNodeId]);
+
+  // 只走訪已展開的分支 (深度優先，維持文件順序)
   const visibleItems = useMemo(() => {
     if (data.length === 0) return [];
-    const idMap = new Map(data.map(d => [d.id, d]));
-
-    return data.filter(item => {
-      if (item.parentId === 0) return true;
-      let currentParentId = item.parentId;
-      while (currentParentId !== 0) {
-        if (!expandedIds.has(currentParentId)) return false;
-        const parent = idMap.get(currentParentId);
-        if (!parent) return false;
-        currentParentId = parent.parentId;
-      }
-      return true;
+
+    // 只顯示有備註：保留有備註的節點與其祖先，並自動展開這些祖先
+    const annotatedIds = new Set();
+    if (showAnnotatedOnly) {
+      index.keys.forEach((key, id) => {
+        if (!annotations.has(key)) return;
+        annotatedIds.add(id);
+        index.getAncestorIds(id).forEach(ancestorId => annotatedIds.add(ancestorId));
+      });
+    }
+
+    // 只顯示必填：節點本身與所有祖先都不可為選填 (未標示基數者視為保留)
+    const isHiddenByFilter = (item) => (showMandatoryOnly && isOptional(item.cardinality))
+      || (showAnnotatedOnly && !annotatedIds.has(item.id));
+
+    const result = [];
+    const walk = (parentId) => {
+      index.getChildren(parentId).forEach(item => {
+        if (isHiddenByFilter(item)) return;
+        result.push(item);
+        if (expandedIds.has(item.id) || annotatedIds.has(item.id)) walk(item.id);
+      });
+    };
+    walk(0);
+    return result;
+  }, [data, index, expandedIds, showMandatoryOnly, showAnnotatedOnly, annotations]);
+
+  const { containerRef, start, end, topPadding, bottomPadding, scrollToIndex } = useVirtualRows(visibleItems.length, ROW_HEIGHT);
+
+  // 關鍵字與路徑搜尋的結果依文件順序排列，currentMatchId 為目前所在的一筆
+  const matchIds = useMemo(() => Array.from(highlightedIds), [highlightedIds]);
+  const matchPosition = matchCursor.ids === highlightedIds ? matchCursor.position : 0;
+  const isNavigableSearch = searchMode === 'keyword' || searchMode === 'path';
+  const currentMatchId = isNavigableSearch ? (matchIds[matchPosition] ?? null) : null;
+
+  // 切換到第 position 筆結果，並展開其祖先確保可見
+  const showMatch = useCallback((position) => {
+    setMatchCursor({ ids: highlightedIds, position });
+    setExpandedIds(prev => {
+      const next = new Set(prev);
+      index.getAncestorIds(matchIds[position]).forEach(ancestorId => next.add(ancestorId));
+      return next;
     });
-  }, [data, expandedIds]);
+  }, [matchIds, highlightedIds, index]);
 
-  const tableRef = useRef(null);
+  // 跳到上一筆 / 下一筆結果 (頭尾循環)
+  const goToMatch = useCallback((step) => {
+    if (matchIds.length === 0) return;
+    showMatch((matchPosition + step + matchIds.length) % matchIds.length);
+  }, [matchIds.length, matchPosition, showMatch]);
 
-  // 自動捲動到結果
+  // F3 / Shift+F3：在任何地方切換搜尋結果
   useEffect(() => {
-    if (searchMode === 'path' && highlightedIds.size === 1) {
-      const id = Array.from(highlightedIds)[0];
-      setTimeout(() => {
-        const element = document.getElementById(`row-${id}`);
-        if (element) {
-          element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        }
-      }, 100);
-    }
-  }, [highlightedIds, searchMode]);
+    const handleKeyDown = (e) => {
+      if (e.key !== 'F3' || matchIds.length === 0) return;
+      e.preventDefault();
+      goToMatch(e.shiftKey ? -1 : 1);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [goToMatch, matchIds.length]);
+
+  // 自動捲動到結果 (每次新的定位結果或切換到另一筆結果只捲動一次，之後展開/收合不再拉回)
+  const scrolledHighlightRef = useRef(null);
+  useEffect(() => {
+    const targetId = currentMatchId ?? ((searchMode === 'path' || searchMode === 'locate') && highlightedIds.size === 1 ? matchIds[0] : null);
+    if (targetId === null) return;
+    const scrolled = scrolledHighlightRef.current;
+    if (scrolled && scrolled.ids === highlightedIds && scrolled.id === targetId) return;
+    const rowIndex = visibleItems.findIndex(item => item.id === targetId);
+    if (rowIndex < 0) return;
+    scrolledHighlightRef.current = { ids: highlightedIds, id: targetId };
+    scrollToIndex(rowIndex);
+  }, [highlightedIds, matchIds, currentMatchId, searchMode, visibleItems, scrollToIndex]);
 
   if (data.length === 0) {
     return (
@@ -599,7 +921,7 @@ function App() {
               <h1 className="text-2xl font-bold tracking-tight">RosettaNet XML Viewer</h1>
               <p className="text-slate-400 text-sm mt-1">Universal Viewer</p>
             </div>
-            <FileUpload onDataLoaded={handleDataLoaded} />
+            <FileUpload onDataLoaded={handleUploadLoaded} onBatchLoaded={handleBatchLoaded} />
 
             {/* Initial GAS Loader */}
             <div className="border-t border-gray-100 bg-slate-50/50 p-6">
@@ -610,11 +932,20 @@ function App() {
                   onSelect={handleGasFileSelect}
                   onRefresh={fetchFileList}
                   isLoading={isLoadingList}
+                  storageBackend={storageBackend}
+                  onBackendChange={handleBackendChange}
+                  authState={authState}
+                  onSignIn={handleSignIn}
+                  onSignOut={handleSignOut}
+                  onLibrarySearch={() => setShowLibrarySearch(true)}
                 />
               </div>
             </div>
           </div>
         </div>
+
+        {librarySearchPanel}
+        {batchUploadPanel}
       </div>
     );
   }
@@ -647,10 +978,16 @@ function App() {
                   </svg>
                   {fileName}
                 </span>
+                {viewedRevision && (
+                  <span className="bg-amber-500 text-xs px-2 py-1 rounded text-white font-medium" title="目前顯示的是歷史版本">
+                    {new Date(viewedRevision.updated).toLocaleString()} 版本
+                  </span>
+                )}
               </h1>
 
               {/* Cloud Controls - Inline with title */}
               <div className="flex items-center gap-2">
+                <StorageBackendSelect value={storageBackend} onChange={handleBackendChange} />
                 <select
                   className="bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 outline-none text-slate-200 max-w-[200px]"
                   onChange={handleGasFileSelect}
@@ -664,19 +1001,67 @@ function App() {
                 <button onClick={fetchFileList} className="p-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-300 transition-colors" title="Reload List">
                   <RefreshCw className={`w-4 h-4 ${isLoadingList ? 'animate-spin' : ''}`} />
                 </button>
+                <button onClick={() => setShowLibrarySearch(true)} className="p-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-300 transition-colors" title="Search All Files">
+                  <Library className="w-4 h-4" />
+                </button>
+                {canSave && (
+                  <button
+                    onClick={handleSaveToGas}
+                    disabled={isSaving || !rawFileContent}
+                    className={`p-1.5 rounded transition-colors
+                      ${isSaving || !rawFileContent
+                        ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+                        : 'bg-emerald-600 hover:bg-emerald-500 text-white'
+                      }
+                    `}
+                    title={isSaving ? "Saving..." : canWriteCurrent ? "Save to Cloud" : "Save as New File"}
+                  >
+                    <Save className="w-4 h-4" />
+                  </button>
+                )}
+                {authState.enabled && selectedFile && loadedMeta && loadedMeta.visibility && (
+                  <select
+                    className="bg-slate-700 border border-slate-600 rounded px-1 py-1 text-xs focus:ring-2 focus:ring-blue-500 outline-none text-slate-200 disabled:opacity-60"
+                    value={loadedMeta.visibility}
+                    onChange={(e) => handleVisibilityChange(e.target.value)}
+                    disabled={!isFileOwner(loadedMeta, authState)}
+                    title={`擁有者: ${loadedMeta.ownerName || loadedMeta.owner}`}
+                  >
+                    {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                )}
+                {canViewHistory && (
+                  <button
+                    onClick={() => setShowHistory(!showHistory)}
+                    disabled={!selectedFile}
+                    className={`p-1.5 rounded transition-colors
+                      ${!selectedFile
+                        ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+                        : showHistory ? 'bg-blue-600 text-white' : 'bg-slate-600 hover:bg-slate-500 text-slate-300'
+                      }
+                    `}
+                    title="Revision History"
+                  >
+                    <History className="w-4 h-4" />
+                  </button>
+                )}
                 <button
-                  onClick={handleSaveToGas}
-                  disabled={isSaving || !rawFileContent}
-                  className={`p-1.5 rounded transition-colors
-                    ${isSaving || !rawFileContent
-                      ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
-                      : 'bg-emerald-600 hover:bg-emerald-500 text-white'
-                    }
-                  `}
-                  title={isSaving ? "Saving..." : "Save to Cloud"}
+                  onClick={handleExportXsd}
+                  className="p-1.5 bg-blue-600 hover:bg-blue-500 rounded text-white transition-colors"
+                  title="Export XSD"
                 >
-                  <Save className="w-4 h-4" />
+                  <FileDown className="w-4 h-4" />
                 </button>
+                <button
+                  onClick={copyShareLink}
+                  className="p-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-300 transition-colors"
+                  title="Copy Link"
+                >
+                  <Link2 className="w-4 h-4" />
+                </button>
+                <AuthControl authState={authState} onSignIn={handleSignIn} onSignOut={handleSignOut} />
               </div>
             </div>
 
@@ -691,20 +1076,102 @@ function App() {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 h-4 w-4" />
               <input
                 type="text"
-                placeholder="搜尋關鍵字或路徑 (支援自動補全 Choice)"
-                className="w-full pl-10 pr-4 py-2 rounded-lg bg-slate-700 border-none text-white placeholder-slate-400 focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+                placeholder="搜尋關鍵字或路徑 (支援 *、// 與自動補全 Choice)，或查詢如 def:date level:>3、card:1..n under:ServiceHeader、/Code$/、code:US"
+                className={`w-full pl-10 ${isNavigableSearch && matchIds.length > 0 ? 'pr-44' : 'pr-10'} py-2 rounded-lg bg-slate-700 border-none text-white placeholder-slate-400 focus:ring-2 ${queryError ? 'ring-2 ring-red-400 focus:ring-red-400' : 'focus:ring-blue-500'} outline-none transition-all`}
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
+                onKeyDown={(e) => {
+                  // Enter 下一筆、Shift+Enter 上一筆
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    goToMatch(e.shiftKey ? -1 : 1);
+                  }
+                }}
               />
-              {searchTerm && (
-                <button
-                  onClick={() => setSearchTerm('')}
-                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-slate-400 hover:text-white"
-                >
-                  <X className="h-4 w-4" />
-                </button>
-              )}
+              <div className="absolute right-3 top-1/2 transform -translate-y-1/2 flex items-center gap-1 text-slate-400">
+                {isNavigableSearch && searchTerm.trim() && !queryError && !pathResult?.failure && (
+                  <>
+                    <span className="text-xs font-mono mr-1 whitespace-nowrap">
+                      {matchIds.length > 0 ? `${matchPosition + 1} / ${matchIds.length}` : '0 筆'}
+                    </span>
+                    <button
+                      onClick={() => goToMatch(-1)}
+                      disabled={matchIds.length === 0}
+                      className="p-0.5 rounded hover:text-white hover:bg-slate-600 disabled:opacity-40 disabled:hover:bg-transparent"
+                      title="上一筆 (Shift+Enter / Shift+F3)"
+                    >
+                      <ChevronUp className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => goToMatch(1)}
+                      disabled={matchIds.length === 0}
+                      className="p-0.5 rounded hover:text-white hover:bg-slate-600 disabled:opacity-40 disabled:hover:bg-transparent"
+                      title="下一筆 (Enter / F3)"
+                    >
+                      <ChevronDown className="h-4 w-4" />
+                    </button>
+                  </>
+                )}
+                {searchTerm && (
+                  <button
+                    onClick={() => setSearchTerm('')}
+                    className="p-0.5 hover:text-white"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
             </div>
+            {queryError && (
+              <p className="mt-1 text-xs text-red-300 flex items-center gap-1">
+                <AlertCircle className="w-3 h-3 shrink-0" /> {queryError}
+              </p>
+            )}
+            {pathResult?.failure && (
+              <div className="mt-1 text-xs text-amber-300">
+                <p className="flex items-center gap-1">
+                  <AlertCircle className="w-3 h-3 shrink-0" />
+                  路徑在第 {pathResult.failure.step + 1} 段「<span className="font-mono">{pathResult.failure.segment}</span>」找不到符合的節點
+                  {pathResult.failure.reachedIds.length > 0 && `，已標示最深定位到的 ${pathResult.failure.reachedIds.length} 個節點`}
+                </p>
+                {pathResult.failure.suggestions.length > 0 && (
+                  <p className="mt-1 flex flex-wrap items-center gap-1 text-slate-400">
+                    您是不是要找：
+                    {pathResult.failure.suggestions.map(node => (
+                      <button
+                        key={node.id}
+                        onClick={() => setSearchTerm(buildCanonicalPath(index, node.id) + pathResult.failure.rest)}
+                        className="font-mono px-1.5 py-0.5 rounded bg-slate-700 text-slate-200 hover:bg-slate-600"
+                        title={index.paths.get(node.id)}
+                      >
+                        {node.name}
+                      </button>
+                    ))}
+                  </p>
+                )}
+              </div>
+            )}
+            {pathResult && pathResult.matches.length > 1 && (
+              <div className="mt-1 text-xs">
+                <p className="text-slate-400">路徑符合 {pathResult.matches.length} 個節點：</p>
+                <ul className="mt-1 max-h-28 overflow-auto rounded bg-slate-900/40">
+                  {pathResult.matches.slice(0, MAX_PATH_CANDIDATES).map((id, i) => (
+                    <li key={id}>
+                      <button
+                        onClick={() => showMatch(i)}
+                        className={`w-full text-left px-2 py-0.5 font-mono break-all ${id === currentMatchId ? 'bg-amber-500/20 text-amber-200' : 'text-slate-300 hover:bg-slate-700'}`}
+                      >
+                        <span className="text-slate-500 mr-2">{index.byId.get(id).fieldNo}</span>
+                        {buildCanonicalPath(index, id)}
+                      </button>
+                    </li>
+                  ))}
+                  {pathResult.matches.length > MAX_PATH_CANDIDATES && (
+                    <li className="px-2 py-0.5 text-slate-500">... 另有 {pathResult.matches.length - MAX_PATH_CANDIDATES} 個</li>
+                  )}
+                </ul>
+              </div>
+            )}
           </div>
 
           <div className="flex flex-wrap gap-2 items-center justify-between">
@@ -712,126 +1179,354 @@ function App() {
               <ControlBtn onClick={expandAll} icon={<Maximize2 className="w-4 h-4" />}>全部展開</ControlBtn>
               <ControlBtn onClick={collapseAll} icon={<Minimize2 className="w-4 h-4" />}>全部收合</ControlBtn>
               <ControlBtn onClick={clearView} icon={<Layers className="w-4 h-4" />} variant="secondary">重置檢視</ControlBtn>
+              <ControlBtn
+                onClick={() => setShowMandatoryOnly(!showMandatoryOnly)}
+                icon={<Filter className="w-4 h-4" />}
+                variant={showMandatoryOnly ? 'active' : 'primary'}
+              >
+                只顯示必填
+              </ControlBtn>
+              {annotationsEnabled && (
+                <ControlBtn
+                  onClick={() => setShowAnnotatedOnly(!showAnnotatedOnly)}
+                  icon={<StickyNote className="w-4 h-4" />}
+                  variant={showAnnotatedOnly ? 'active' : 'primary'}
+                >
+                  只顯示有備註 ({annotations.size})
+                </ControlBtn>
+              )}
+              <ControlBtn
+                onClick={() => setShowValidator(!showValidator)}
+                icon={<ShieldCheck className="w-4 h-4" />}
+                variant={showValidator ? 'active' : 'primary'}
+              >
+                驗證 XML
+              </ControlBtn>
+              <ControlBtn
+                onClick={() => setShowDiagnostics(!showDiagnostics)}
+                icon={<Stethoscope className="w-4 h-4" />}
+                variant={showDiagnostics ? 'active' : 'primary'}
+              >
+                解析診斷
+              </ControlBtn>
+              <ControlBtn
+                onClick={() => { setTypesFocus(null); setShowTypes(!showTypes); }}
+                icon={<Boxes className="w-4 h-4" />}
+                variant={showTypes ? 'active' : 'primary'}
+              >
+                型別 / Where Used
+              </ControlBtn>
+              <DropdownBtn
+                icon={<FileCode className="w-4 h-4" />}
+                label="產生範例 XML"
+                options={[
+                  { label: '僅必填元素', onSelect: () => handleGenerateSampleXml('mandatory') },
+                  { label: '所有元素', onSelect: () => handleGenerateSampleXml('all') },
+                ]}
+              />
+              <DropdownBtn
+                icon={<FileSpreadsheet className="w-4 h-4" />}
+                label="匯出表格"
+                options={[
+                  { label: 'Excel - 整棵樹', onSelect: () => handleExportTable('xlsx', 'all') },
+                  { label: `Excel - 目前顯示的列 (${visibleItems.length})`, onSelect: () => handleExportTable('xlsx', 'visible') },
+                  ...(highlightedIds.size > 0 ? [{ label: `Excel - 搜尋結果 (${highlightedIds.size})`, onSelect: () => handleExportTable('xlsx', 'matches') }] : []),
+                  { label: 'CSV - 整棵樹', onSelect: () => handleExportTable('csv', 'all') },
+                  { label: `CSV - 目前顯示的列 (${visibleItems.length})`, onSelect: () => handleExportTable('csv', 'visible') },
+                  ...(highlightedIds.size > 0 ? [{ label: `CSV - 搜尋結果 (${highlightedIds.size})`, onSelect: () => handleExportTable('csv', 'matches') }] : []),
+                ]}
+              />
+              <ControlBtn onClick={() => setShowDiff(true)} icon={<GitCompare className="w-4 h-4" />}>版本比較</ControlBtn>
 
-              {searchMode === 'path' && highlightedIds.size > 0 && (
+              {searchMode === 'path' && pathResult?.matches.length > 0 && (
                 <span className="ml-2 text-xs bg-green-500/20 text-green-400 px-2 py-1 rounded border border-green-500/30 flex items-center gap-1 animate-pulse">
                   <CheckCircle2 className="w-3 h-3" /> 路徑定位成功
                 </span>
               )}
             </div>
 
-            <button
-              onClick={resetFile}
-              className="text-xs text-slate-400 hover:text-white flex items-center gap-1 transition-colors"
-            >
-              <Upload className="w-3 h-3" /> 上傳新檔案
-            </button>
+            <div className="flex items-center gap-3">
+              {batchUpload && (
+                <button
+                  onClick={() => setShowBatch(true)}
+                  className="text-xs text-slate-400 hover:text-white flex items-center gap-1 transition-colors"
+                >
+                  <Files className="w-3 h-3" /> 批次上傳結果 ({batchUpload.results.length})
+                </button>
+              )}
+              <button
+                onClick={resetFile}
+                className="text-xs text-slate-400 hover:text-white flex items-center gap-1 transition-colors"
+              >
+                <Upload className="w-3 h-3" /> 上傳新檔案
+              </button>
+            </div>
           </div>
         </div>
 
-        {/* Table Content */}
-        <div className="overflow-auto flex-1 relative scroll-smooth" ref={tableRef}>
-          <table className="w-full text-left border-collapse">
-            <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold tracking-wider sticky top-0 z-10 shadow-sm">
-              <tr>
-                <th className="px-6 py-3 border-b border-gray-200 w-24 text-center">Field #</th>
-                <th className="px-6 py-3 border-b border-gray-200 w-24 text-center">Level</th>
-                <th className="px-6 py-3 border-b border-gray-200">Description / Tag Name</th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-gray-100">
-              {visibleItems.map((item) => {
-                const hasChildren = data.some(child => child.parentId === item.id);
-                const isExpanded = expandedIds.has(item.id);
-                const isHighlighted = highlightedIds.has(item.id);
-
-                return (
-                  <tr
-                    key={item.id}
-                    id={`row-${item.id}`}
-                    className={`
-                      group transition-colors duration-150 ease-in-out
-                      ${isHighlighted ? 'bg-amber-100 hover:bg-amber-200' : 'hover:bg-blue-50/50'}
-                      ${isHighlighted ? 'border-l-4 border-amber-500' : 'border-l-4 border-transparent'}
-                    `}
-                  >
-                    <td className="px-6 py-2 text-center text-gray-400 text-sm font-mono">{item.fieldNo}</td>
-                    <td className="px-6 py-2 text-center text-gray-400 text-sm font-mono">
-                      <span className={`px-2 py-0.5 rounded text-xs ${item.level === 0 ? 'bg-blue-100 text-blue-600' : 'bg-gray-100'}`}>
-                        {item.level}
-                      </span>
-                    </td>
-                    <td className="px-6 py-2 relative">
-                      <div
-                        className="flex items-center"
-                        style={{ paddingLeft: `${item.level * 24}px` }}
-                      >
-                        <div className="w-6 h-6 flex items-center justify-center mr-2 shrink-0">
-                          {hasChildren && (
+        <div className="flex flex-1 min-h-0">
+          {/* Table Content */}
+          <div className="overflow-auto flex-1 min-w-0 relative" ref={containerRef}>
+            <table className="w-full text-left border-collapse">
+              <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold tracking-wider sticky top-0 z-10 shadow-sm">
+                <tr>
+                  <th className="px-6 py-3 border-b border-gray-200 w-24 text-center">Field #</th>
+                  <th className="px-6 py-3 border-b border-gray-200 w-24 text-center">Level</th>
+                  <th className="px-6 py-3 border-b border-gray-200 w-24 text-center">Card.</th>
+                  <th className="px-6 py-3 border-b border-gray-200">Description / Tag Name</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {topPadding > 0 && <tr style={{ height: topPadding }} aria-hidden="true" />}
+                {visibleItems.slice(start, end).map((item) => {
+                  const hasChildren = index.hasChildren(item.id);
+                  const isExpanded = expandedIds.has(item.id);
+                  const isHighlighted = highlightedIds.has(item.id);
+                  const isCurrentMatch = item.id === currentMatchId;
+                  const annotation = annotations.get(index.keys.get(item.id));
+                  const isSelected = item.id === selectedNodeId;
+
+                  return (
+                    <tr
+                      key={item.id}
+                      id={`row-${item.id}`}
+                      style={{ height: ROW_HEIGHT }}
+                      // 點選列開啟詳細資料 (列內其他按鈕各有用途，不觸發)
+                      onClick={(e) => { if (!e.target.closest('button')) setSelectedNodeId(item.id); }}
+                      className={`
+                        group transition-colors duration-150 ease-in-out cursor-pointer
+                        ${isCurrentMatch ? 'bg-amber-200 hover:bg-amber-300 ring-2 ring-inset ring-amber-500' : isHighlighted ? 'bg-amber-100 hover:bg-amber-200' : isSelected ? 'bg-blue-50' : 'hover:bg-blue-50/50'}
+                        ${isHighlighted ? 'border-l-4 border-amber-500' : isSelected ? 'border-l-4 border-blue-500' : 'border-l-4 border-transparent'}
+                      `}
+                    >
+                      <td className="px-6 py-2 text-center text-gray-400 text-sm font-mono">{item.fieldNo}</td>
+                      <td className="px-6 py-2 text-center text-gray-400 text-sm font-mono">
+                        <span className={`px-2 py-0.5 rounded text-xs ${item.level === 0 ? 'bg-blue-100 text-blue-600' : 'bg-gray-100'}`}>
+                          {item.level}
+                        </span>
+                      </td>
+                      <td className="px-6 py-2 text-center text-gray-500 text-sm font-mono whitespace-nowrap">{item.cardinality}</td>
+                      <td className="px-6 py-2 relative">
+                        <div
+                          className="flex items-center"
+                          style={{ paddingLeft: `${item.level * 24}px` }}
+                        >
+                          <div className="w-6 h-6 flex items-center justify-center mr-2 shrink-0">
+                            {hasChildren && (
+                              <button
+                                onClick={() => toggleNode(item.id)}
+                                className="text-slate-400 hover:text-blue-600 focus:outline-none transition-transform"
+                              >
+                                {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                              </button>
+                            )}
+                          </div>
+
+                          <div className="flex-1 min-w-0">
                             <button
-                              onClick={() => toggleNode(item.id)}
-                              className="text-slate-400 hover:text-blue-600 focus:outline-none transition-transform"
+                              onClick={() => setSelectedNodeId(item.id)}
+                              className={`
+                                  font-medium transition-all block truncate max-w-full text-left rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500
+                                  ${isHighlighted ? 'text-amber-800 font-bold text-base' : item.level === 0 ? 'text-slate-800' : 'text-slate-600'}
+                                `}
+                              title="檢視詳細資料"
                             >
-                              {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                              {item.name}
                             </button>
+                          </div>
+
+                          <CardinalityBadges cardinality={item.cardinality} />
+
+                          {item.codeList && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0 bg-teal-100 text-teal-700" title={`代碼表 ${item.codeList.name}`}>
+                              代碼 {item.codeList.values.length}
+                            </span>
                           )}
-                        </div>
 
-                        <div className="flex-1 group/tooltip relative">
-                          <span
-                            className={`
-                                cursor-help font-medium transition-all block truncate
-                                ${isHighlighted ? 'text-amber-800 font-bold text-base' : item.level === 0 ? 'text-slate-800' : 'text-slate-600'}
-                              `}
-                          >
-                            {item.name}
-                          </span>
-
-                          {item.description && (
-                            <div className="absolute left-0 bottom-full mb-2 hidden group-hover/tooltip:block z-50 w-max max-w-md pointer-events-none">
-                              <div className="bg-slate-800 text-white text-xs rounded py-2 px-3 shadow-xl leading-relaxed whitespace-normal break-words">
-                                {item.description}
-                                <div className="absolute left-4 top-full w-0 h-0 border-l-[6px] border-l-transparent border-r-[6px] border-r-transparent border-t-[6px] border-t-slate-800"></div>
-                              </div>
-                            </div>
+                          {annotation && (
+                            <button
+                              onClick={() => editAnnotation(item)}
+                              className="ml-2 shrink-0 text-amber-500 hover:text-amber-600"
+                              title={`備註: ${annotation.note}`}
+                            >
+                              <StickyNote className="w-4 h-4" />
+                            </button>
                           )}
+
+                          {/* 以透明度隱藏 (而非 display:none)，鍵盤仍可 Tab 到按鈕，取得焦點時顯示 */}
+                          <div className="ml-2 shrink-0 flex items-center gap-1 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 focus-within:opacity-100">
+                            {annotationsEnabled && !annotation && (
+                              <button
+                                onClick={() => editAnnotation(item)}
+                                className="flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-slate-100 text-slate-500 hover:bg-amber-100 hover:text-amber-700 transition-colors"
+                                title="Add Note"
+                              >
+                                <StickyNote className="w-3 h-3" />
+                                Note
+                              </button>
+                            )}
+                            <CopyBtn label="Path" copied={copiedKey === `${item.id}:path`} onClick={() => copyNodePath(item.id, 'path')} />
+                            <CopyBtn label="XPath" copied={copiedKey === `${item.id}:xpath`} onClick={() => copyNodePath(item.id, 'xpath')} />
+                          </div>
                         </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {bottomPadding > 0 && <tr style={{ height: bottomPadding }} aria-hidden="true" />}
+
+                {visibleItems.length === 0 && (
+                  <tr>
+                    <td colSpan="4" className="px-6 py-12 text-center text-gray-400">
+                      <div className="flex flex-col items-center">
+                        <Search className="w-8 h-8 mb-2 opacity-20" />
+                        <p>沒有找到符合的項目</p>
                       </div>
                     </td>
                   </tr>
-                );
-              })}
+                )}
+              </tbody>
+            </table>
+          </div>
 
-              {visibleItems.length === 0 && (
-                <tr>
-                  <td colSpan="3" className="px-6 py-12 text-center text-gray-400">
-                    <div className="flex flex-col items-center">
-                      <Search className="w-8 h-8 mb-2 opacity-20" />
-                      <p>沒有找到符合的項目</p>
-                    </div>
-                  </td>
-                </tr>
-              )}
-            </tbody>
-          </table>
+          {selectedNode && (
+            <NodeDetailPanel
+              node={selectedNode}
+              index={index}
+              data={data}
+              annotation={annotations.get(index.keys.get(selectedNode.id))}
+              annotationsEnabled={annotationsEnabled}
+              annotationEditable={canEditAnnotation(annotations.get(index.keys.get(selectedNode.id)) || {}, loadedMeta, authState)}
+              copiedKey={copiedKey}
+              onCopyPath={copyNodePath}
+              onEditAnnotation={editAnnotation}
+              onSelect={selectAndLocateNode}
+              onShowWhereUsed={openWhereUsed}
+              onClose={() => setSelectedNodeId(null)}
+            />
+          )}
         </div>
+
+        {showValidator && (
+          <XmlValidatorPanel
+            data={data}
+            onClose={() => setShowValidator(false)}
+            onLocate={locateNode}
+          />
+        )}
+
+        {showTypes && (
+          <TypeUsagePanel
+            key={typesFocus || ''}
+            data={data}
+            index={index}
+            initialType={typesFocus}
+            onLocate={selectAndLocateNode}
+            onClose={() => setShowTypes(false)}
+          />
+        )}
+
+        {showDiagnostics && rawFileContent && (
+          <ParserDiagnosticsPanel
+            key={`${fileName}:${JSON.stringify(parseOptions)}`}
+            fileName={fileName}
+            content={rawFileContent}
+            parseOptions={parseOptions}
+            onReparse={handleReparse}
+            onLocate={locateNode}
+            onClose={() => setShowDiagnostics(false)}
+          />
+        )}
+
+        {showHistory && selectedFile && (
+          <RevisionHistoryPanel
+            key={`${selectedFile}:${loadedMeta ? loadedMeta.updated : ''}`}
+            fileName={selectedFile}
+            loadRevisions={loadRevisions}
+            loadRevisionContent={loadRevisionContent}
+            parseSpecContent={(content) => toSpecNodes(parseRosettaNetSpec(content))}
+            onView={handleViewRevision}
+            onCompare={handleCompareRevisions}
+            onRestore={canWriteCurrent ? handleRestoreRevision : null}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
       </div>
+
+      {showDiff && (
+        <SpecDiffView
+          fileList={fileList}
+          currentFile={{ name: fileName, data }}
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          loadCloudSpec={loadCloudSpec}
+          parseSpecContent={(content) => toSpecNodes(parseRosettaNetSpec(content))}
+          initialLeft={diffSources && diffSources.left}
+          initialRight={diffSources && diffSources.right}
+          onClose={() => { setShowDiff(false); setDiffSources(null); }}
+        />
+      )}
+
+      {librarySearchPanel}
+      {batchUploadPanel}
     </div>
   );
 }
 
 // --- 輔助元件 ---
 
-const GasFileSelector = ({ fileList, selectedFile, onSelect, onRefresh, isLoading }) => (
+const StorageBackendSelect = ({ value, onChange }) => (
+  <label className="flex items-center gap-1 text-slate-400" title="Storage Backend">
+    <Database className="w-4 h-4" />
+    <select
+      className="bg-slate-700 border border-slate-600 rounded px-1 py-1 text-xs focus:ring-2 focus:ring-blue-500 outline-none text-slate-200"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {Object.entries(BACKENDS).map(([id, backend]) => (
+        <option key={id} value={id}>{backend.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+// 需要登入的後端才顯示；未登入時 Firestore 檔案清單為空
+const AuthControl = ({ authState, onSignIn, onSignOut }) => {
+  if (!authState.enabled) return null;
+
+  if (!authState.user) {
+    return (
+      <button onClick={onSignIn} className="flex items-center gap-1 px-2 py-1 bg-blue-600 hover:bg-blue-500 rounded text-white text-xs transition-colors" title="Sign In">
+        <LogIn className="w-4 h-4" /> 登入
+      </button>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-1 text-xs text-slate-400">
+      <span className="max-w-[140px] truncate" title={authState.user.email}>{authState.user.displayName || authState.user.email}</span>
+      <button onClick={onSignOut} className="p-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-300 transition-colors" title="Sign Out">
+        <LogOut className="w-4 h-4" />
+      </button>
+    </span>
+  );
+};
+
+const GasFileSelector = ({ fileList, selectedFile, onSelect, onRefresh, isLoading, storageBackend, onBackendChange, authState, onSignIn, onSignOut, onLibrarySearch }) => (
   <div className="flex flex-col gap-1 w-full">
-    <label className="text-xs text-slate-400 font-semibold uppercase tracking-wider">Load from Cloud</label>
+    <div className="flex items-center justify-between">
+      <label className="text-xs text-slate-400 font-semibold uppercase tracking-wider">Load from Cloud</label>
+      <div className="flex items-center gap-2">
+        <AuthControl authState={authState} onSignIn={onSignIn} onSignOut={onSignOut} />
+        <StorageBackendSelect value={storageBackend} onChange={onBackendChange} />
+      </div>
+    </div>
     <div className="flex gap-2">
       <select
         className="flex-1 bg-slate-800 border border-slate-600 rounded px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none text-slate-200"
         onChange={onSelect}
         value={selectedFile}
       >
-        <option value="">-- Select a file from Sheet --</option>
+        <option value="">-- Select a file --</option>
         {fileList.map(f => (
           <option key={f.name} value={f.name}>{f.name} ({new Date(f.updated).toLocaleDateString()})</option>
         ))}
@@ -839,15 +1534,78 @@ const GasFileSelector = ({ fileList, selectedFile, onSelect, onRefresh, isLoadin
       <button onClick={onRefresh} className="p-2 bg-slate-600 hover:bg-slate-500 rounded text-slate-300 transition-colors" title="Reload List">
         <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
       </button>
+      <button onClick={onLibrarySearch} className="p-2 bg-slate-600 hover:bg-slate-500 rounded text-slate-300 transition-colors" title="Search All Files">
+        <Library className="w-4 h-4" />
+      </button>
     </div>
   </div>
 );
 
+const CardinalityBadges = ({ cardinality }) => {
+  if (!cardinality) return null;
+
+  const badgeClass = "ml-2 px-1.5 py-0.5 rounded text-[10px] font-semibold shrink-0";
+
+  return (
+    <>
+      {isMandatory(cardinality) && (
+        <span className={`${badgeClass} bg-red-100 text-red-600`} title="Mandatory">必填</span>
+      )}
+      {isOptional(cardinality) && (
+        <span className={`${badgeClass} bg-gray-100 text-gray-500`} title="Optional">選填</span>
+      )}
+      {isRepeating(cardinality) && (
+        <span className={`${badgeClass} bg-purple-100 text-purple-600`} title="Repeating">重複</span>
+      )}
+    </>
+  );
+};
+
+const CopyBtn = ({ label, copied, onClick }) => (
+  <button
+    onClick={onClick}
+    className="flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-slate-100 text-slate-500 hover:bg-blue-100 hover:text-blue-700 transition-colors"
+    title={`Copy ${label}`}
+  >
+    {copied ? <Check className="w-3 h-3 text-green-600" /> : <Copy className="w-3 h-3" />}
+    {label}
+  </button>
+);
+
+const DropdownBtn = ({ icon, label, options }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative" onMouseLeave={() => setIsOpen(false)}>
+      <ControlBtn onClick={() => setIsOpen(!isOpen)} icon={icon}>
+        {label}
+        <ChevronDown className="w-3 h-3" />
+      </ControlBtn>
+      {isOpen && (
+        <div className="absolute left-0 top-full pt-1 z-30 min-w-full">
+          <div className="bg-white rounded-md shadow-lg border border-gray-200 py-1 text-sm text-slate-700">
+            {options.map(option => (
+              <button
+                key={option.label}
+                onClick={() => { setIsOpen(false); option.onSelect(); }}
+                className="block w-full text-left px-3 py-1.5 whitespace-nowrap hover:bg-blue-50"
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const ControlBtn = ({ onClick, children, icon, variant = 'primary' }) => {
   const baseClass = "flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-slate-800";
   const variants = {
     primary: "bg-slate-700 text-slate-200 hover:bg-slate-600 focus:ring-slate-500",
     secondary: "bg-slate-600 text-slate-300 hover:bg-slate-500 focus:ring-slate-400",
+    active: "bg-blue-600 text-white hover:bg-blue-500 focus:ring-blue-400",
     danger: "bg-red-500/10 text-red-400 hover:bg-red-500/20 focus:ring-red-500 hover:text-red-300",
   };
 
@@ -0,0 +1,241 @@
+import React, { useState, useMemo } from 'react';
+import { X, Files, Save, Eye, Loader2, CheckCircle2, AlertCircle } from 'lucide-react';
+
+const DEFAULT_NAMING_RULE = '{name}{ext}';
+
+/**
+ * 依命名規則產生儲存檔名
+ * {name} 不含副檔名的檔名、{ext} 副檔名 (含 .)、{pip} 偵測到的 PIP、{folder} 所在資料夾
+ * (巢狀資料夾以 _ 連接：檔名不能含 "/"，Firestore 會視為子路徑)
+ */
+const applyNamingRule = (rule, result) => {
+  const extMatch = /\.[^.]+$/.exec(result.name);
+  const ext = extMatch ? extMatch[0] : '';
+  const folder = result.path.includes('/') ? result.path.slice(0, result.path.lastIndexOf('/')).split('/').join('_') : '';
+  const tokens = {
+    name: result.name.slice(0, result.name.length - ext.length),
+    ext,
+    pip: result.pip,
+    folder,
+  };
+  return (rule || DEFAULT_NAMING_RULE).replace(/\{(name|ext|pip|folder)\}/g, (_, token) => tokens[token]).trim();
+};
+
+const SAVE_STATUS = {
+  saving: { label: '儲存中', className: 'text-blue-600' },
+  saved: { label: '已儲存', className: 'text-green-600' },
+  failed: { label: '儲存失敗', className: 'text-red-600' },
+  skipped: { label: '已略過', className: 'text-gray-500' },
+};
+
+const formatMeta = (meta) => `最後更新 ${new Date(meta.updated).toLocaleString()}${meta.author ? `，${meta.author}` : ''}`;
+
+/**
+ * 批次上傳結果
+ * 列出每個檔案的解析結果 (列數、成功或錯誤、偵測到的 PIP)，
+ * 可依命名規則批次儲存成功的檔案到雲端，或開啟其中一個檔案
+ * (儲存前以 getMeta 重新讀取雲端檔案，與單檔儲存相同的覆寫保護：無權覆寫或清單載入後才出現的檔案會略過，
+ * 要覆寫的既有檔案先列出最後更新時間與作者確認)
+ */
+const BatchUploadPanel = ({ results, skippedCount, fileList, canSave, canOverwrite, getMeta, onSave, onSaved, onOpen, onClose }) => {
+  const [namingRule, setNamingRule] = useState(DEFAULT_NAMING_RULE);
+  const [selected, setSelected] = useState(() => new Set(results.filter(r => !r.error).map(r => r.path)));
+  const [overwriteExisting, setOverwriteExisting] = useState(false);
+  const [saveStatus, setSaveStatus] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const existingFiles = useMemo(() => new Map(fileList.map(f => [f.name, f])), [fileList]);
+
+  // 每列的目標檔名與是否會被略過 (已存在、無權覆寫、批次內重名)
+  const plan = useMemo(() => {
+    const seen = new Set();
+    return results.map(result => {
+      const targetName = applyNamingRule(namingRule, result);
+      let skipReason = null;
+      if (result.error) skipReason = '解析失敗';
+      else if (!targetName) skipReason = '檔名為空';
+      else if (targetName.includes('/')) skipReason = '檔名不可含 /';
+      else if (seen.has(targetName)) skipReason = '批次內檔名重複';
+      else if (existingFiles.has(targetName) && !canOverwrite(existingFiles.get(targetName))) skipReason = '無權覆寫既有檔案';
+      else if (existingFiles.has(targetName) && !overwriteExisting) skipReason = '已存在 (未勾選覆寫)';
+      if (!result.error && targetName && selected.has(result.path)) seen.add(targetName);
+      return { result, targetName, exists: existingFiles.has(targetName), skipReason };
+    });
+  }, [results, namingRule, existingFiles, overwriteExisting, selected, canOverwrite]);
+
+  const toSave = plan.filter(row => selected.has(row.result.path) && !row.skipReason);
+  const successCount = results.filter(r => !r.error).length;
+
+  const toggleSelected = (path) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path); else next.add(path);
+      return next;
+    });
+  };
+
+  const setRowStatus = (row, status) => setSaveStatus(prev => ({ ...prev, [row.result.path]: status }));
+
+  const handleBulkSave = async () => {
+    setIsSaving(true);
+
+    // 覆寫保護：清單可能已過期，儲存前重新讀取每個目標檔案的最後更新時間
+    const checked = await Promise.all(toSave.map(async row => ({ row, existing: await getMeta(row.targetName).catch(() => null) })));
+    const rows = [];
+    const overwrites = [];
+    checked.forEach(({ row, existing }) => {
+      if (existing && !canOverwrite(existing)) {
+        setRowStatus(row, { state: 'skipped', message: '無權覆寫既有檔案' });
+      } else if (existing && !overwriteExisting) {
+        setRowStatus(row, { state: 'skipped', message: `清單載入後已有人建立此檔案 (${formatMeta(existing)})` });
+      } else {
+        rows.push(row);
+        if (existing) {
+          const listed = existingFiles.get(row.targetName);
+          const note = !listed ? '，清單載入後才建立' : listed.updated !== existing.updated ? '，清單載入後已被更新' : '';
+          overwrites.push(`- ${row.targetName} (${formatMeta(existing)}${note})`);
+        }
+      }
+    });
+
+    const message = overwrites.length > 0
+      ? `確定要將 ${rows.length} 個檔案儲存到雲端嗎？\n\n將覆寫以下 ${overwrites.length} 個既有檔案 (舊版仍保留在版本歷史中)：\n${overwrites.join('\n')}`
+      : `確定要將 ${rows.length} 個檔案儲存到雲端嗎？`;
+    if (rows.length === 0 || !confirm(message)) {
+      setIsSaving(false);
+      return;
+    }
+
+    // 逐一儲存，單一檔案失敗不影響其他檔案
+    for (const row of rows) {
+      setRowStatus(row, { state: 'saving' });
+      try {
+        await onSave(row.targetName, row.result.content);
+        setRowStatus(row, { state: 'saved', name: row.targetName });
+      } catch (err) {
+        setRowStatus(row, { state: 'failed', message: err.message });
+      }
+    }
+    setIsSaving(false);
+    onSaved();
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-gray-50 p-6 font-sans text-gray-800">
+      <div className="max-w-7xl mx-auto bg-white rounded-xl shadow-lg overflow-hidden border border-gray-100 flex flex-col h-full">
+        <div className="bg-slate-800 p-6 text-white shrink-0">
+          <div className="flex justify-between items-center mb-4">
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2">
+              <Files className="w-5 h-5" /> 批次上傳結果
+              <span className="text-sm font-normal text-slate-400">
+                {successCount} / {results.length} 個檔案解析成功{skippedCount > 0 && `，略過 ${skippedCount} 個不支援的檔案`}
+              </span>
+            </h1>
+            <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {canSave && (
+            <div className="flex flex-col md:flex-row gap-4 md:items-end">
+              <label className="flex-1 flex flex-col gap-1">
+                <span className="text-xs text-slate-400 font-semibold uppercase tracking-wider">命名規則</span>
+                <input
+                  type="text"
+                  className="bg-slate-700 border border-slate-600 rounded px-3 py-1.5 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none text-slate-200"
+                  value={namingRule}
+                  onChange={(e) => setNamingRule(e.target.value)}
+                />
+                <span className="text-xs text-slate-400">
+                  可用 {'{name}'} 檔名、{'{ext}'} 副檔名、{'{pip}'} PIP 代碼、{'{folder}'} 資料夾 (巢狀資料夾以 _ 連接)，例如 PIP{'{pip}'}_{'{name}'}{'{ext}'}；檔名不可含 /
+                </span>
+              </label>
+              <label className="flex items-center gap-1.5 text-sm text-slate-300 cursor-pointer md:mb-6">
+                <input type="checkbox" checked={overwriteExisting} onChange={(e) => setOverwriteExisting(e.target.checked)} />
+                覆寫既有檔案
+              </label>
+              <button
+                onClick={handleBulkSave}
+                disabled={isSaving || toSave.length === 0}
+                className="flex items-center justify-center gap-1.5 px-4 py-2 rounded-md text-sm font-medium bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed md:mb-6"
+              >
+                {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                儲存 {toSave.length} 個檔案到雲端
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="overflow-auto flex-1">
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold tracking-wider sticky top-0 z-10 shadow-sm">
+              <tr>
+                {canSave && <th className="px-4 py-2 border-b border-gray-200 w-10" />}
+                <th className="px-4 py-2 border-b border-gray-200">File</th>
+                <th className="px-4 py-2 border-b border-gray-200 w-20 text-center">PIP</th>
+                <th className="px-4 py-2 border-b border-gray-200 w-20 text-center">Rows</th>
+                <th className="px-4 py-2 border-b border-gray-200">Status</th>
+                {canSave && <th className="px-4 py-2 border-b border-gray-200">Save As</th>}
+                <th className="px-4 py-2 border-b border-gray-200 w-16" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 text-sm">
+              {plan.map(({ result, targetName, exists, skipReason }) => {
+                const status = saveStatus[result.path];
+                const isSelected = selected.has(result.path);
+                return (
+                  <tr key={result.path} className={result.error ? 'bg-red-50/50' : 'hover:bg-gray-50'}>
+                    {canSave && (
+                      <td className="px-4 py-2">
+                        <input type="checkbox" checked={isSelected} disabled={Boolean(result.error)} onChange={() => toggleSelected(result.path)} />
+                      </td>
+                    )}
+                    <td className="px-4 py-2 text-slate-700 break-all">{result.path}</td>
+                    <td className="px-4 py-2 text-center font-mono text-xs">{result.pip || <span className="text-slate-400">-</span>}</td>
+                    <td className="px-4 py-2 text-center font-mono text-xs text-slate-600">{result.rowCount}</td>
+                    <td className="px-4 py-2 text-xs">
+                      {result.error ? (
+                        <span className="flex items-center gap-1 text-red-600"><AlertCircle className="w-4 h-4 shrink-0" /> {result.error}</span>
+                      ) : (
+                        <span className="flex items-center gap-1 text-green-600"><CheckCircle2 className="w-4 h-4 shrink-0" /> 解析成功</span>
+                      )}
+                    </td>
+                    {canSave && (
+                      <td className="px-4 py-2 text-xs">
+                        {!result.error && (
+                          <>
+                            <span className="font-mono text-slate-700 break-all">{targetName}</span>
+                            {exists && !skipReason && <span className="ml-2 text-[10px] font-semibold px-1.5 py-0.5 rounded bg-amber-100 text-amber-700">將覆寫</span>}
+                            {isSelected && skipReason && <span className="ml-2 text-[10px] font-semibold px-1.5 py-0.5 rounded bg-gray-100 text-gray-500">略過：{skipReason}</span>}
+                            {status && (
+                              <span className={`block mt-0.5 ${SAVE_STATUS[status.state].className}`}>
+                                {SAVE_STATUS[status.state].label}{status.message ? `: ${status.message}` : ''}
+                              </span>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    )}
+                    <td className="px-4 py-2">
+                      {!result.error && (
+                        <button
+                          onClick={() => onOpen(result)}
+                          className="p-1 rounded text-slate-500 hover:text-blue-600 hover:bg-blue-50"
+                          title="在檢視器中開啟"
+                        >
+                          <Eye className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchUploadPanel;
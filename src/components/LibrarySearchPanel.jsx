@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Library, Search, RefreshCw, Loader2, AlertCircle } from 'lucide-react';
+import { loadLibraryIndex } from '../services/libraryIndex';
+import { searchLibrary } from '../utils/librarySearch';
+
+const RESULT_LIMIT = 500;
+
+/**
+ * 全庫搜尋
+ * 解析雲端檔案庫中每個檔案並快取索引，搜尋哪些 PIP 使用某個元素；
+ * 點擊結果開啟該檔案並定位到節點
+ */
+const LibrarySearchPanel = ({ onOpen, onClose }) => {
+  const [term, setTerm] = useState('');
+  const [includeDefinitions, setIncludeDefinitions] = useState(false);
+  const [library, setLibrary] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  // reloadCount > 0 代表使用者要求忽略快取重建
+  useEffect(() => {
+    let cancelled = false;
+    loadLibraryIndex({
+      force: reloadCount > 0,
+      onProgress: (next) => { if (!cancelled) setProgress(next); },
+    })
+      .then(result => { if (!cancelled) setLibrary(result); })
+      .catch(err => { if (!cancelled) setError("建立索引失敗: " + err.message); });
+    return () => { cancelled = true; };
+  }, [reloadCount]);
+
+  const rebuild = () => {
+    setLibrary(null);
+    setError(null);
+    setReloadCount(count => count + 1);
+  };
+
+  const { results, total, fileCount } = useMemo(
+    () => searchLibrary(library ? library.indexes : [], term, { includeDefinitions, limit: RESULT_LIMIT }),
+    [library, term, includeDefinitions]
+  );
+
+  const isIndexing = !library && !error;
+
+  return (
+    <div className="fixed inset-0 z-40 bg-gray-50 p-6 font-sans text-gray-800">
+      <div className="max-w-7xl mx-auto bg-white rounded-xl shadow-lg overflow-hidden border border-gray-100 flex flex-col h-full">
+        <div className="bg-slate-800 p-6 text-white shrink-0">
+          <div className="flex justify-between items-center mb-4">
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2">
+              <Library className="w-5 h-5" /> 全庫搜尋
+            </h1>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={rebuild}
+                disabled={isIndexing}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium bg-slate-700 text-slate-200 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="忽略快取，重新下載並解析所有檔案"
+              >
+                <RefreshCw className={`w-4 h-4 ${isIndexing ? 'animate-spin' : ''}`} /> 重建索引
+              </button>
+              <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          <div className="relative w-full mb-3">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 h-4 w-4" />
+            <input
+              type="text"
+              autoFocus
+              placeholder="搜尋元素名稱 (例如 ProductIdentification)，含 / 時比對路徑"
+              className="w-full pl-10 pr-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={term}
+              onChange={(e) => setTerm(e.target.value)}
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-3 items-center justify-between text-sm text-slate-300">
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={includeDefinitions} onChange={(e) => setIncludeDefinitions(e.target.checked)} />
+              同時搜尋定義
+            </label>
+            <span className="text-xs text-slate-400 flex items-center gap-1">
+              {isIndexing && progress && (
+                <>
+                  <Loader2 className="w-3 h-3 animate-spin" /> 建立索引中 {progress.done}/{progress.total} {progress.file}
+                </>
+              )}
+              {library && `已索引 ${library.indexes.length} 個檔案`}
+              {library && term.trim() && ` · ${total} 筆結果，分布於 ${fileCount} 個檔案`}
+              {total > RESULT_LIMIT && ` (僅顯示前 ${RESULT_LIMIT} 筆)`}
+            </span>
+          </div>
+        </div>
+
+        {error && (
+          <div className="m-4 flex items-center gap-2 p-3 bg-red-50 text-red-700 rounded-lg border border-red-200 text-sm">
+            <AlertCircle className="w-4 h-4" /> {error}
+          </div>
+        )}
+
+        {library && library.errors.length > 0 && (
+          <div className="mx-4 mt-4 p-3 bg-amber-50 text-amber-800 rounded-lg border border-amber-200 text-xs">
+            {library.errors.length} 個檔案無法索引：{library.errors.map(e => `${e.file} (${e.message})`).join('、')}
+          </div>
+        )}
+
+        <div className="overflow-auto flex-1">
+          {results.length === 0 ? (
+            <div className="flex flex-col items-center justify-center h-full text-gray-400">
+              <AlertCircle className="w-8 h-8 mb-2 opacity-20" />
+              <p>{term.trim() && library ? '找不到符合的元素' : '輸入元素名稱，搜尋所有雲端檔案'}</p>
+            </div>
+          ) : (
+            <table className="w-full text-left border-collapse table-fixed">
+              <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold tracking-wider sticky top-0 z-10 shadow-sm">
+                <tr>
+                  <th className="px-4 py-2 border-b border-gray-200 w-48">File</th>
+                  <th className="px-4 py-2 border-b border-gray-200">Path</th>
+                  <th className="px-4 py-2 border-b border-gray-200 w-20 text-center">Card.</th>
+                  <th className="px-4 py-2 border-b border-gray-200">Definition</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 text-sm">
+                {results.map(result => (
+                  <tr
+                    key={`${result.file}:${result.id}`}
+                    onClick={() => onOpen(result.file, result.id)}
+                    className="hover:bg-blue-50 cursor-pointer"
+                    title="開啟檔案並定位到此節點"
+                  >
+                    <td className="px-4 py-2 text-slate-700 truncate">{result.file}</td>
+                    <td className="px-4 py-2 font-mono text-xs text-slate-600 break-all">{result.path}</td>
+                    <td className="px-4 py-2 text-center font-mono text-xs text-gray-500">{result.cardinality}</td>
+                    <td className="px-4 py-2 text-xs text-slate-500">
+                      <div className="line-clamp-2" title={result.description}>{result.description}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LibrarySearchPanel;
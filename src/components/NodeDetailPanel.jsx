@@ -0,0 +1,223 @@
+import React, { useState, useMemo } from 'react';
+import { X, Info, StickyNote, Copy, Check, ChevronRight, ListChecks } from 'lucide-react';
+import { splitNodeName, isGroupNode, buildCanonicalPath, buildXPath } from '../utils/specTree';
+import { isMandatory, isOptional, isRepeating } from '../utils/cardinality';
+
+const DEFINITION_SOURCES = {
+  name: '完整名稱',
+  attribute: '屬性名 (parts[0])',
+  type: '類型名 (parts[1])',
+};
+
+// 定義是以哪個鍵找到的 (與 matchDefinition 的優先順序相同)
+const definitionKey = (node, parts) => ({
+  name: node.name,
+  attribute: parts.attribute || parts.type,
+  type: parts.type,
+}[node.definitionSource]);
+
+const cardinalityLabels = (cardinality) => [
+  isMandatory(cardinality) && '必填',
+  isOptional(cardinality) && '選填',
+  isRepeating(cardinality) && '重複',
+].filter(Boolean).join('、');
+
+const Field = ({ label, children }) => (
+  <div>
+    <dt className="text-[10px] uppercase tracking-wider font-semibold text-slate-400">{label}</dt>
+    <dd className="text-sm text-slate-700 break-all select-text">{children}</dd>
+  </div>
+);
+
+const NodeLink = ({ node, detail, onSelect }) => (
+  <li>
+    <button
+      onClick={() => onSelect(node.id)}
+      className="w-full text-left px-2 py-1 rounded hover:bg-blue-50 flex items-start gap-2 text-sm"
+    >
+      <span className="font-mono text-xs text-slate-400 w-10 shrink-0 pt-0.5">{node.fieldNo}</span>
+      <span className="min-w-0 flex-1">
+        <span className="text-slate-700 break-all">{node.name}</span>
+        {detail && <span className="block text-xs text-slate-400 break-all">{detail}</span>}
+      </span>
+      {node.cardinality && <span className="font-mono text-xs text-slate-500 shrink-0 pt-0.5">{node.cardinality}</span>}
+    </button>
+  </li>
+);
+
+// 代碼值超過此數量時顯示篩選框
+const CODE_FILTER_THRESHOLD = 10;
+
+const CodeListSection = ({ codeList }) => {
+  const [filter, setFilter] = useState('');
+  const lowerFilter = filter.trim().toLowerCase();
+  const values = lowerFilter
+    ? codeList.values.filter(value => value.code.toLowerCase().includes(lowerFilter) || value.description.toLowerCase().includes(lowerFilter))
+    : codeList.values;
+
+  return (
+    <section>
+      <h3 className="text-xs uppercase tracking-wider font-semibold text-slate-400 mb-1 flex items-center gap-1">
+        <ListChecks className="w-3 h-3" /> 允許的代碼值「{codeList.name}」({codeList.values.length})
+      </h3>
+      {codeList.values.length > CODE_FILTER_THRESHOLD && (
+        <input
+          type="text"
+          className="w-full mb-2 border border-gray-200 rounded px-2 py-1 text-xs focus:ring-2 focus:ring-blue-500 outline-none"
+          placeholder="篩選代碼或說明"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+      )}
+      <table className="w-full text-left text-xs border-collapse select-text">
+        <tbody className="divide-y divide-gray-100">
+          {values.map((value, i) => (
+            <tr key={`${i}:${value.code}`} className="align-top">
+              <td className="py-1 pr-3 font-mono text-teal-700 whitespace-nowrap">{value.code}</td>
+              <td className="py-1 text-slate-600 break-words">{value.description}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {values.length === 0 && <p className="text-xs text-slate-400 px-2">沒有符合的代碼</p>}
+    </section>
+  );
+};
+
+/**
+ * 節點詳細資料側欄
+ * 點選樹狀表中的列後顯示：名稱拆解 (屬性 / 類型)、完整路徑、Field #、層級、基數、
+ * 完整定義與其來源鍵、允許的代碼值、備註、直接子節點，以及同類型在規範中其他出現的位置
+ * (文字皆可選取複製；點擊子節點或其他位置會切換並定位到該節點)
+ */
+const NodeDetailPanel = ({ node, index, data, annotation, annotationsEnabled, annotationEditable, copiedKey, onCopyPath, onEditAnnotation, onSelect, onShowWhereUsed, onClose }) => {
+  const parts = splitNodeName(node.name);
+  const children = index.getChildren(node.id);
+
+  // 同類型：類型名相同的其他節點 (Choice / Sequence 只是結構群組，不列出)
+  const sameType = useMemo(() => (
+    isGroupNode(node) ? [] : data.filter(item => item.id !== node.id && splitNodeName(item.name).type === parts.type)
+  ), [data, node, parts.type]);
+
+  const copyButton = (format, label) => (
+    <button
+      onClick={() => onCopyPath(node.id, format)}
+      className="ml-1 inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-slate-100 text-slate-500 hover:bg-blue-100 hover:text-blue-700 align-middle"
+      title={`Copy ${label}`}
+    >
+      {copiedKey === `${node.id}:${format}` ? <Check className="w-3 h-3 text-green-600" /> : <Copy className="w-3 h-3" />}
+      {label}
+    </button>
+  );
+
+  return (
+    <aside className="w-96 shrink-0 border-l border-gray-200 bg-white flex flex-col min-h-0" aria-label="節點詳細資料">
+      <div className="bg-slate-50 border-b border-gray-200 px-4 py-2 flex items-center justify-between shrink-0">
+        <h2 className="font-bold text-sm text-slate-700 flex items-center gap-2 min-w-0">
+          <Info className="w-4 h-4 shrink-0 text-blue-600" />
+          <span className="truncate">{node.name}</span>
+        </h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-700" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="overflow-auto min-h-0 p-4 flex flex-col gap-4">
+        <dl className="grid grid-cols-3 gap-3">
+          <Field label="Field #"><span className="font-mono">{node.fieldNo}</span></Field>
+          <Field label="Level"><span className="font-mono">{node.level}</span></Field>
+          <Field label="Cardinality">
+            <span className="font-mono">{node.cardinality || '-'}</span>
+            {node.cardinality && <span className="block text-xs text-slate-400">{cardinalityLabels(node.cardinality)}</span>}
+          </Field>
+        </dl>
+
+        <dl className="flex flex-col gap-3">
+          <Field label="Name">{node.name}</Field>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="屬性 (parts[0])">{parts.attribute || <span className="text-slate-400">-</span>}</Field>
+            <Field label="類型 (parts[1])">{parts.type}</Field>
+          </div>
+          <Field label={<>Path {copyButton('path', 'Path')} {copyButton('xpath', 'XPath')}</>}>
+            <span className="font-mono text-xs">{buildCanonicalPath(index, node.id)}</span>
+            <span className="block font-mono text-xs text-slate-400 mt-1">{buildXPath(index, node.id)}</span>
+          </Field>
+          <Field label="Definition">
+            {node.description ? (
+              <span className="whitespace-pre-wrap">{node.description}</span>
+            ) : (
+              <span className="text-slate-400">沒有定義</span>
+            )}
+            {node.description && (
+              <span className="block mt-1 text-xs text-slate-400">
+                {node.definitionSource
+                  ? <>以{DEFINITION_SOURCES[node.definitionSource]}「<span className="font-mono">{definitionKey(node, parts)}</span>」找到</>
+                  : '由規範檔內的說明提供'}
+              </span>
+            )}
+          </Field>
+        </dl>
+
+        {node.codeList && <CodeListSection key={node.id} codeList={node.codeList} />}
+
+        {(annotation || annotationsEnabled) && (
+          <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm">
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-semibold text-amber-700 flex items-center gap-1"><StickyNote className="w-4 h-4" /> 備註</span>
+              {annotationsEnabled && (!annotation || annotationEditable) && (
+                <button onClick={() => onEditAnnotation(node)} className="text-xs text-amber-700 hover:underline">
+                  {annotation ? '編輯' : '新增'}
+                </button>
+              )}
+            </div>
+            {annotation ? (
+              <>
+                <p className="text-slate-700 whitespace-pre-wrap break-words select-text">{annotation.note}</p>
+                <p className="text-xs text-slate-400 mt-1">{annotation.author || '-'} · {new Date(annotation.updated).toLocaleString()}</p>
+              </>
+            ) : (
+              <p className="text-xs text-slate-400">尚無備註</p>
+            )}
+          </div>
+        )}
+
+        <section>
+          <h3 className="text-xs uppercase tracking-wider font-semibold text-slate-400 mb-1 flex items-center gap-1">
+            <ChevronRight className="w-3 h-3" /> 子節點 ({children.length})
+          </h3>
+          {children.length === 0 ? (
+            <p className="text-xs text-slate-400 px-2">沒有子節點</p>
+          ) : (
+            <ul>
+              {children.map(child => <NodeLink key={child.id} node={child} onSelect={onSelect} />)}
+            </ul>
+          )}
+        </section>
+
+        {!isGroupNode(node) && (
+          <section>
+            <h3 className="text-xs uppercase tracking-wider font-semibold text-slate-400 mb-1 flex items-center justify-between gap-2">
+              <span>同類型「{parts.type}」的其他位置 ({sameType.length})</span>
+              {sameType.length > 0 && (
+                <button onClick={() => onShowWhereUsed(parts.type)} className="normal-case tracking-normal font-medium text-blue-600 hover:underline shrink-0">
+                  比較結構
+                </button>
+              )}
+            </h3>
+            {sameType.length === 0 ? (
+              <p className="text-xs text-slate-400 px-2">此類型只出現在這裡</p>
+            ) : (
+              <ul>
+                {sameType.map(item => (
+                  <NodeLink key={item.id} node={item} detail={index.paths.get(item.id)} onSelect={onSelect} />
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default NodeDetailPanel;
@@ -0,0 +1,236 @@
+import React, { useState, useMemo } from 'react';
+import { X, Stethoscope, AlertCircle, RotateCcw } from 'lucide-react';
+import { diagnoseRosettaNetSpec, DEFAULT_HTML_COLUMNS } from '../parsers/specParser';
+
+const FORMAT_LABELS = { html: 'HTML 表格', text: '純文字表格', xsd: 'XML Schema', dtd: 'DTD' };
+
+const SELECTION_LABELS = {
+  tree: '含 |-- 的列最多',
+  largest: '找不到含 |-- 的表格，改用列數最多的表格',
+  manual: '手動指定',
+};
+
+const SKIP_REASONS = {
+  cells: '欄位數不足',
+  fieldNo: 'Field # 不是數字 (表頭或說明列)',
+};
+
+const COLUMN_FIELDS = [
+  { key: 'fieldNo', label: 'Field #' },
+  { key: 'cardinality', label: 'Cardinality' },
+  { key: 'name', label: '名稱' },
+];
+
+// 清單過長時只顯示前面部分，避免一次渲染上千列
+const MAX_LIST_ITEMS = 200;
+
+/**
+ * 解析診斷面板
+ * 說明解析器做了哪些判斷：採用的表格與其他候選、被跳過的列、層級跳躍、
+ * 重複的 Field #、沒有定義的名稱；HTML 格式可手動改選表格或欄位配置後重新解析
+ * (停駐於樹狀表下方，點擊項目可定位節點)
+ */
+const ParserDiagnosticsPanel = ({ fileName, content, parseOptions, onReparse, onLocate, onClose }) => {
+  const diagnostics = useMemo(() => diagnoseRosettaNetSpec(content, parseOptions || undefined), [content, parseOptions]);
+  const { html } = diagnostics;
+
+  const [draftColumns, setDraftColumns] = useState(() => (html ? html.columns : DEFAULT_HTML_COLUMNS));
+  const [activeTab, setActiveTab] = useState('levelJumps');
+
+  const chosenTable = html && html.tables[html.chosenTable];
+  const columnOptions = Array.from({ length: Math.max(chosenTable ? chosenTable.columnCount : 0, 3) }, (_, i) => i);
+
+  // 只改欄位時保留目前的表格選擇 (自動判斷則維持自動)
+  const applyColumns = () => onReparse({ tableIndex: parseOptions ? parseOptions.tableIndex : null, columns: draftColumns });
+  const chooseTable = (tableIndex) => onReparse({ tableIndex, columns: draftColumns });
+
+  const tabs = [
+    {
+      id: 'levelJumps',
+      label: '層級跳躍',
+      items: diagnostics.levelJumps.map(item => ({
+        id: item.id,
+        fieldNo: item.fieldNo,
+        text: item.name,
+        detail: `Level ${item.from} → ${item.to}`,
+      })),
+    },
+    {
+      id: 'duplicateFieldNos',
+      label: '重複 Field #',
+      items: diagnostics.duplicateFieldNos.map(item => ({
+        id: item.id,
+        fieldNo: item.rows[0].fieldNo,
+        text: item.rows.map(row => row.name).join('、'),
+        detail: `${item.rows.length} 列`,
+      })),
+    },
+    {
+      id: 'missingDefinitions',
+      label: '沒有定義',
+      items: diagnostics.missingDefinitions.map(item => ({ id: item.id, fieldNo: item.fieldNo, text: item.name })),
+    },
+    ...(html ? [
+      {
+        id: 'skippedRows',
+        label: '跳過的列',
+        items: html.skippedRows.map(item => ({
+          fieldNo: `#${item.rowIndex + 1}`,
+          text: item.text || '(空白列)',
+          detail: SKIP_REASONS[item.reason],
+        })),
+      },
+      {
+        id: 'nameFallbacks',
+        label: '名稱改用下一欄',
+        items: html.nameFallbacks.map(item => ({ id: item.id, fieldNo: item.fieldNo, text: item.name || '(仍為空白)' })),
+      },
+    ] : []),
+  ];
+  const currentTab = tabs.find(tab => tab.id === activeTab) || tabs[0];
+
+  return (
+    <div className="border-t-4 border-slate-800 bg-white shrink-0 max-h-[55vh] flex flex-col">
+      <div className="bg-slate-800 text-white px-6 py-2 flex items-center justify-between shrink-0">
+        <h2 className="font-bold text-sm flex items-center gap-2">
+          <Stethoscope className="w-5 h-5" /> 解析診斷 - {fileName}
+        </h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="p-4 flex flex-col gap-3 overflow-auto min-h-0 text-sm">
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-1 text-slate-600">
+          <span>格式：<strong className="text-slate-800">{FORMAT_LABELS[diagnostics.format]}</strong></span>
+          <span>解析列數：<strong className="text-slate-800">{diagnostics.rawData.length}</strong></span>
+          {chosenTable && (
+            <span>
+              採用表格：<strong className="text-slate-800">#{chosenTable.index + 1}</strong>
+              <span className="text-slate-400"> ({SELECTION_LABELS[html.selection]})</span>
+            </span>
+          )}
+          {html && (
+            <span title={html.codeLists.map(list => `${list.name} (${list.valueCount})`).join('\n')}>
+              代碼表：<strong className="text-slate-800">{html.codeLists.length}</strong>
+            </span>
+          )}
+          {parseOptions && (
+            <button
+              onClick={() => onReparse(null)}
+              className="flex items-center gap-1 text-xs text-blue-600 hover:underline"
+            >
+              <RotateCcw className="w-3 h-3" /> 恢復自動判斷
+            </button>
+          )}
+        </div>
+
+        {diagnostics.error && (
+          <div className="flex items-center gap-2 p-3 bg-red-50 text-red-700 rounded-lg border border-red-200">
+            <AlertCircle className="w-4 h-4" /> {diagnostics.error}
+          </div>
+        )}
+
+        {html && (
+          <div className="border border-gray-200 rounded-lg overflow-hidden">
+            <table className="w-full text-left border-collapse text-xs">
+              <thead className="bg-slate-50 text-slate-500 uppercase font-semibold tracking-wider">
+                <tr>
+                  <th className="px-3 py-1.5 border-b border-gray-200 w-12">Table</th>
+                  <th className="px-3 py-1.5 border-b border-gray-200 w-16 text-center">Rows</th>
+                  <th className="px-3 py-1.5 border-b border-gray-200 w-16 text-center">|-- Rows</th>
+                  <th className="px-3 py-1.5 border-b border-gray-200 w-16 text-center">Cols</th>
+                  <th className="px-3 py-1.5 border-b border-gray-200">Sample</th>
+                  <th className="px-3 py-1.5 border-b border-gray-200 w-24" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {html.tables.filter(table => table.rowCount > 0).map(table => (
+                  <tr key={table.index} className={table.index === html.chosenTable ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                    <td className="px-3 py-1.5 font-mono">#{table.index + 1}</td>
+                    <td className="px-3 py-1.5 font-mono text-center">{table.rowCount}</td>
+                    <td className="px-3 py-1.5 font-mono text-center">{table.treeScore}</td>
+                    <td className="px-3 py-1.5 font-mono text-center">{table.columnCount}</td>
+                    <td className="px-3 py-1.5 text-slate-600 truncate max-w-0">
+                      {table.isDefinitionTable && <span className="mr-2 text-[10px] font-semibold px-1.5 py-0.5 rounded bg-purple-100 text-purple-700">定義表</span>}
+                      {table.sample}
+                    </td>
+                    <td className="px-3 py-1.5 text-right">
+                      {table.index === html.chosenTable ? (
+                        <span className="text-blue-600 font-semibold">目前採用</span>
+                      ) : (
+                        <button onClick={() => chooseTable(table.index)} className="text-slate-500 hover:text-blue-600 hover:underline">
+                          使用此表格
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex flex-wrap items-center gap-3 px-3 py-2 bg-slate-50 border-t border-gray-200 text-xs text-slate-600">
+              <span className="font-semibold">欄位配置</span>
+              {COLUMN_FIELDS.map(field => (
+                <label key={field.key} className="flex items-center gap-1">
+                  {field.label}
+                  <select
+                    className="border border-gray-300 rounded px-1 py-0.5 bg-white"
+                    value={draftColumns[field.key]}
+                    onChange={(e) => setDraftColumns({ ...draftColumns, [field.key]: Number(e.target.value) })}
+                  >
+                    {columnOptions.map(i => <option key={i} value={i}>第 {i + 1} 欄</option>)}
+                  </select>
+                </label>
+              ))}
+              <button
+                onClick={applyColumns}
+                className="px-3 py-1 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700"
+              >
+                重新解析
+              </button>
+              <span className="text-slate-400">手動設定只套用於目前檢視，不會隨檔案儲存</span>
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-1 border-b border-gray-200">
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-3 py-1.5 text-xs font-medium border-b-2 -mb-px transition-colors
+                ${currentTab.id === tab.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-slate-500 hover:text-slate-800'}
+              `}
+            >
+              {tab.label} ({tab.items.length})
+            </button>
+          ))}
+        </div>
+
+        {currentTab.items.length === 0 ? (
+          <p className="text-center text-slate-400 py-2">沒有發現項目</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {currentTab.items.slice(0, MAX_LIST_ITEMS).map((item, i) => (
+              <li
+                key={i}
+                className={`py-1.5 flex items-center gap-3 ${item.id !== undefined ? 'cursor-pointer hover:bg-blue-50' : ''}`}
+                onClick={item.id !== undefined ? () => onLocate(item.id) : undefined}
+              >
+                <span className="font-mono text-xs text-slate-400 w-14 shrink-0">{item.fieldNo}</span>
+                <span className="text-slate-700 break-all flex-1">{item.text}</span>
+                {item.detail && <span className="text-xs text-slate-500 shrink-0">{item.detail}</span>}
+              </li>
+            ))}
+            {currentTab.items.length > MAX_LIST_ITEMS && (
+              <li className="py-1.5 text-center text-xs text-slate-400">...還有 {currentTab.items.length - MAX_LIST_ITEMS} 筆</li>
+            )}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParserDiagnosticsPanel;
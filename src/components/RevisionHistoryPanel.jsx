@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { X, History, Eye, RotateCcw, GitCompare, Loader2, AlertCircle } from 'lucide-react';
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * 版本歷史面板
+ * 列出雲端檔案每次儲存的版本，可檢視、與目前檔案或另一版本比較，以及還原
+ * (停駐於樹狀表下方；開啟時載入清單，App 以 key 在儲存後重新掛載以更新)
+ * onRestore 為 null 時 (無權覆寫此檔案) 不顯示還原按鈕
+ */
+const RevisionHistoryPanel = ({ fileName, loadRevisions, loadRevisionContent, parseSpecContent, onView, onCompare, onRestore, onClose }) => {
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRevisions()
+      .then(list => { if (!cancelled) setRevisions(list); })
+      .catch(err => { if (!cancelled) setError("載入版本歷史失敗: " + err.message); });
+    return () => { cancelled = true; };
+  }, [loadRevisions]);
+
+  const revisionLabel = (revision) => `${fileName} @ ${formatTimestamp(revision.updated)}`;
+
+  // 最多勾選兩個版本，超過時捨棄最早勾選的
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2));
+  };
+
+  const withContent = async (revision, action) => {
+    setBusyId(revision.id);
+    try {
+      await action(await loadRevisionContent(revision.id));
+    } catch (err) {
+      alert("載入版本失敗: " + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = (revision) => {
+    if (!confirm(`確定要將「${fileName}」還原為 ${formatTimestamp(revision.updated)} 的版本嗎？\n還原會另存為一個新版本，不會刪除任何歷史。`)) return;
+    withContent(revision, content => onRestore(revision, content));
+  };
+
+  // 勾選一個版本時與目前檔案比較；勾選兩個時以較舊者為舊版
+  const handleCompare = async () => {
+    const chosen = revisions.filter(r => selectedIds.includes(r.id)).reverse();
+    try {
+      const sides = await Promise.all(chosen.map(async revision => ({
+        name: revisionLabel(revision),
+        data: parseSpecContent(await loadRevisionContent(revision.id)),
+      })));
+      onCompare(sides[0], sides[1] || null);
+    } catch (err) {
+      alert("載入版本失敗: " + err.message);
+    }
+  };
+
+  return (
+    <div className="border-t-4 border-slate-800 bg-white shrink-0 max-h-[45vh] flex flex-col">
+      <div className="bg-slate-800 text-white px-6 py-2 flex items-center justify-between shrink-0">
+        <h2 className="font-bold text-sm flex items-center gap-2">
+          <History className="w-5 h-5" /> 版本歷史 - {fileName}
+        </h2>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleCompare}
+            disabled={selectedIds.length === 0}
+            className="flex items-center gap-1.5 px-3 py-1 rounded-md text-xs font-medium bg-slate-700 text-slate-200 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            title="勾選一個版本與目前檔案比較，或勾選兩個版本互相比較"
+          >
+            <GitCompare className="w-4 h-4" /> {selectedIds.length === 2 ? '比較所選版本' : '與目前檔案比較'}
+          </button>
+          <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-auto min-h-0">
+        {error && (
+          <div className="m-4 flex items-center gap-2 p-3 bg-red-50 text-red-700 rounded-lg border border-red-200 text-sm">
+            <AlertCircle className="w-4 h-4" /> {error}
+          </div>
+        )}
+
+        {!error && !revisions && (
+          <div className="p-6 flex items-center justify-center gap-2 text-sm text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" /> 載入中...
+          </div>
+        )}
+
+        {revisions && revisions.length === 0 && (
+          <p className="p-6 text-center text-sm text-slate-400">此檔案尚無版本紀錄 (啟用版本歷史前儲存的內容不會出現在這裡)</p>
+        )}
+
+        {revisions && revisions.length > 0 && (
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold tracking-wider sticky top-0">
+              <tr>
+                <th className="px-4 py-2 border-b border-gray-200 w-10" />
+                <th className="px-4 py-2 border-b border-gray-200">Saved</th>
+                <th className="px-4 py-2 border-b border-gray-200">Author</th>
+                <th className="px-4 py-2 border-b border-gray-200">Comment</th>
+                <th className="px-4 py-2 border-b border-gray-200 w-28" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 text-sm">
+              {revisions.map((revision, index) => (
+                <tr key={revision.id} className={selectedIds.includes(revision.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-2">
+                    <input type="checkbox" checked={selectedIds.includes(revision.id)} onChange={() => toggleSelected(revision.id)} />
+                  </td>
+                  <td className="px-4 py-2 font-mono text-xs text-slate-600 whitespace-nowrap">
+                    {formatTimestamp(revision.updated)}
+                    {index === 0 && <span className="ml-2 text-[10px] font-semibold px-1.5 py-0.5 rounded bg-green-100 text-green-700">最新</span>}
+                  </td>
+                  <td className="px-4 py-2 text-slate-700">{revision.author || <span className="text-slate-400">-</span>}</td>
+                  <td className="px-4 py-2 text-slate-600">{revision.comment}</td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center gap-1 justify-end">
+                      {busyId === revision.id && <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+                      <button
+                        onClick={() => withContent(revision, content => onView(revision, content))}
+                        disabled={busyId !== null}
+                        className="p-1 rounded text-slate-500 hover:text-blue-600 hover:bg-blue-50"
+                        title="檢視此版本"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                      {index > 0 && onRestore && (
+                        <button
+                          onClick={() => handleRestore(revision)}
+                          disabled={busyId !== null}
+                          className="p-1 rounded text-slate-500 hover:text-amber-600 hover:bg-amber-50"
+                          title="還原為此版本"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistoryPanel;
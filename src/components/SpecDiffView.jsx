@@ -0,0 +1,276 @@
+import React, { useState, useMemo } from 'react';
+import { X, GitCompare, Upload, Download, Loader2, AlertCircle } from 'lucide-react';
+import { diffSpecs, summarizeDiff } from '../utils/specDiff';
+import { toCsv } from '../utils/csv';
+import { downloadTextFile, getBaseName } from '../utils/download';
+
+const STATUS_STYLES = {
+  unchanged: { label: '相同', row: '', badge: 'bg-gray-100 text-gray-500' },
+  changed: { label: '變更', row: 'bg-amber-50', badge: 'bg-amber-100 text-amber-700' },
+  added: { label: '新增', row: 'bg-green-50', badge: 'bg-green-100 text-green-700' },
+  removed: { label: '刪除', row: 'bg-red-50', badge: 'bg-red-100 text-red-700' },
+  moved: { label: '搬移', row: 'bg-blue-50', badge: 'bg-blue-100 text-blue-700' },
+  renamed: { label: '更名', row: 'bg-purple-50', badge: 'bg-purple-100 text-purple-700' },
+};
+
+const CURRENT_SOURCE = '__current__';
+
+/**
+ * 選擇比較來源：目前檔案、雲端檔案或上傳
+ */
+const SpecSourcePicker = ({ label, side, fileList, currentFileName, accept, onLoadCloud, onLoadUpload }) => {
+  const [selected, setSelected] = useState(side.name && side.name === currentFileName ? CURRENT_SOURCE : '');
+
+  const handleSelect = (e) => {
+    const value = e.target.value;
+    setSelected(value);
+    if (value) onLoadCloud(value);
+  };
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      setSelected('');
+      onLoadUpload(file.name, ev.target.result);
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="flex-1 min-w-0 flex flex-col gap-1">
+      <span className="text-xs text-slate-400 font-semibold uppercase tracking-wider">{label}</span>
+      <div className="flex gap-2 items-center">
+        <select
+          className="flex-1 min-w-0 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 outline-none text-slate-200"
+          value={selected}
+          onChange={handleSelect}
+        >
+          <option value="">-- 選擇檔案 --</option>
+          {currentFileName && <option value={CURRENT_SOURCE}>目前檔案 ({currentFileName})</option>}
+          {fileList.map(f => (
+            <option key={f.name} value={f.name}>{f.name}</option>
+          ))}
+        </select>
+        <label className="p-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-300 transition-colors cursor-pointer" title="Upload">
+          <Upload className="w-4 h-4" />
+          <input type="file" className="hidden" accept={accept} onChange={handleUpload} />
+        </label>
+      </div>
+      <span className="text-xs text-slate-400 truncate h-4 flex items-center gap-1">
+        {side.loading && <Loader2 className="w-3 h-3 animate-spin" />}
+        {side.error ? <span className="text-red-400">{side.error}</span> : side.name && `${side.name} (${side.data.length} rows)`}
+      </span>
+    </div>
+  );
+};
+
+const DiffCells = ({ node, level, other, muted }) => {
+  if (!node) {
+    return (
+      <>
+        <td className="px-3 py-1.5" />
+        <td className="px-3 py-1.5" />
+        <td className="px-3 py-1.5" />
+      </>
+    );
+  }
+
+  const nameChanged = other && other.name !== node.name;
+  const cardChanged = other && (other.cardinality || '') !== (node.cardinality || '');
+
+  return (
+    <>
+      <td className="px-3 py-1.5 text-center text-gray-400 text-xs font-mono">{node.fieldNo}</td>
+      <td className={`px-3 py-1.5 text-sm ${muted ? 'text-gray-400' : 'text-slate-700'}`}>
+        <div className="truncate" style={{ paddingLeft: `${level * 16}px` }} title={node.description || node.name}>
+          <span className={nameChanged ? 'font-semibold' : ''}>{node.name}</span>
+        </div>
+      </td>
+      <td className={`px-3 py-1.5 text-center text-xs font-mono ${cardChanged ? 'text-amber-700 font-bold' : 'text-gray-500'}`}>
+        {node.cardinality}
+      </td>
+    </>
+  );
+};
+
+/**
+ * 規範版本比較 (如 3A4 V02.00 -> V02.05)
+ * 兩側各選一個來源，以路徑配對節點並顯示合併後的差異樹
+ * initialLeft / initialRight ({ name, data }) 可預先帶入來源，例如版本歷史中的版本
+ */
+const SpecDiffView = ({ fileList, currentFile, accept, loadCloudSpec, parseSpecContent, initialLeft, initialRight, onClose }) => {
+  const emptySide = { name: '', data: [], loading: false, error: null };
+  const [left, setLeft] = useState(() => {
+    if (initialLeft) return { ...emptySide, ...initialLeft };
+    return currentFile.data.length > 0 ? { ...emptySide, name: currentFile.name, data: currentFile.data } : emptySide;
+  });
+  const [right, setRight] = useState(() => (initialRight ? { ...emptySide, ...initialRight } : emptySide));
+  const [changesOnly, setChangesOnly] = useState(false);
+
+  const loaders = (setSide) => ({
+    onLoadCloud: async (name) => {
+      if (name === CURRENT_SOURCE) {
+        setSide({ ...emptySide, name: currentFile.name, data: currentFile.data });
+        return;
+      }
+      setSide(prev => ({ ...prev, loading: true, error: null }));
+      try {
+        const data = await loadCloudSpec(name);
+        setSide({ ...emptySide, name, data });
+      } catch (err) {
+        setSide({ ...emptySide, error: "載入失敗: " + err.message });
+      }
+    },
+    onLoadUpload: (name, content) => {
+      try {
+        setSide({ ...emptySide, name, data: parseSpecContent(content) });
+      } catch (err) {
+        setSide({ ...emptySide, error: "解析失敗: " + err.message });
+      }
+    },
+  });
+
+  const rows = useMemo(() => {
+    if (left.data.length === 0 || right.data.length === 0) return [];
+    return diffSpecs(left.data, right.data);
+  }, [left.data, right.data]);
+
+  const summary = useMemo(() => summarizeDiff(rows), [rows]);
+
+  // 只顯示變更：保留有變更的列以及其祖先 (以灰字呈現作為上下文)
+  const displayRows = useMemo(() => {
+    if (!changesOnly) return rows.map(row => ({ row, context: false }));
+
+    const result = [];
+    const ancestorStack = [];
+    rows.forEach(row => {
+      ancestorStack.length = row.level;
+      const isChange = row.status !== 'unchanged';
+      if (isChange) {
+        ancestorStack.forEach(entry => {
+          if (!entry.emitted) {
+            result.push({ row: entry.row, context: true });
+            entry.emitted = true;
+          }
+        });
+        result.push({ row, context: false });
+      }
+      ancestorStack[row.level] = { row, emitted: isChange };
+    });
+    return result;
+  }, [rows, changesOnly]);
+
+  const exportReport = () => {
+    const header = ['Status', 'Changes', 'Old Path', 'New Path', 'Old Field #', 'New Field #', 'Old Cardinality', 'New Cardinality', 'Old Definition', 'New Definition'];
+    const reportRows = rows
+      .filter(row => row.status !== 'unchanged')
+      .map(row => [
+        row.status,
+        row.changes.join(' '),
+        row.oldPath,
+        row.newPath,
+        row.oldNode ? row.oldNode.fieldNo : '',
+        row.newNode ? row.newNode.fieldNo : '',
+        row.oldNode ? row.oldNode.cardinality : '',
+        row.newNode ? row.newNode.cardinality : '',
+        row.oldNode && row.changes.includes('description') ? row.oldNode.description : '',
+        row.newNode && (row.changes.includes('description') || !row.oldNode) ? row.newNode.description : '',
+      ]);
+    downloadTextFile(`diff-${getBaseName(left.name)}-${getBaseName(right.name)}.csv`, toCsv(header, reportRows), 'text/csv');
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-gray-50 p-6 font-sans text-gray-800">
+      <div className="max-w-7xl mx-auto bg-white rounded-xl shadow-lg overflow-hidden border border-gray-100 flex flex-col h-full">
+        <div className="bg-slate-800 p-6 text-white shrink-0">
+          <div className="flex justify-between items-center mb-4">
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2">
+              <GitCompare className="w-5 h-5" /> 規範版本比較
+            </h1>
+            <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="flex flex-col md:flex-row gap-4 mb-4">
+            <SpecSourcePicker label="舊版 (Base)" side={left} fileList={fileList} currentFileName={currentFile.name} accept={accept} {...loaders(setLeft)} />
+            <SpecSourcePicker label="新版 (Compare)" side={right} fileList={fileList} currentFileName={currentFile.name} accept={accept} {...loaders(setRight)} />
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center justify-between">
+            <div className="flex flex-wrap gap-2 items-center text-xs">
+              {Object.entries(STATUS_STYLES).filter(([status]) => summary[status]).map(([status, style]) => (
+                <span key={status} className={`px-2 py-0.5 rounded ${style.badge}`}>
+                  {style.label} {summary[status]}
+                </span>
+              ))}
+            </div>
+            <div className="flex gap-3 items-center">
+              <label className="flex items-center gap-1.5 text-sm text-slate-300 cursor-pointer">
+                <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />
+                只顯示變更
+              </label>
+              <button
+                onClick={exportReport}
+                disabled={rows.length === 0}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium bg-slate-700 text-slate-200 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Download className="w-4 h-4" /> 匯出變更報告
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="overflow-auto flex-1">
+          {rows.length === 0 ? (
+            <div className="flex flex-col items-center justify-center h-full text-gray-400">
+              <AlertCircle className="w-8 h-8 mb-2 opacity-20" />
+              <p>請選擇兩個要比較的檔案</p>
+            </div>
+          ) : (
+            <table className="w-full text-left border-collapse table-fixed">
+              <thead className="bg-slate-50 text-slate-500 text-xs uppercase font-semibold tracking-wider sticky top-0 z-10 shadow-sm">
+                <tr>
+                  <th className="px-3 py-2 border-b border-gray-200 w-16 text-center">#</th>
+                  <th className="px-3 py-2 border-b border-gray-200">{left.name}</th>
+                  <th className="px-3 py-2 border-b border-gray-200 w-20 text-center">Card.</th>
+                  <th className="px-3 py-2 border-b border-gray-200 w-24 text-center">Status</th>
+                  <th className="px-3 py-2 border-b border-gray-200 w-16 text-center">#</th>
+                  <th className="px-3 py-2 border-b border-gray-200">{right.name}</th>
+                  <th className="px-3 py-2 border-b border-gray-200 w-20 text-center">Card.</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {displayRows.map(({ row, context }) => {
+                  const style = STATUS_STYLES[row.status];
+                  return (
+                    <tr key={row.key} className={context ? '' : style.row}>
+                      <DiffCells node={row.oldNode} level={row.level} other={row.newNode} muted={context} />
+                      <td className="px-3 py-1.5 text-center">
+                        {!context && (
+                          <span className={`text-[10px] font-semibold px-1.5 py-0.5 rounded ${style.badge}`} title={row.status === 'moved' ? `${row.oldPath} -> ${row.newPath}` : undefined}>
+                            {style.label}
+                          </span>
+                        )}
+                        {!context && row.changes.includes('description') && (
+                          <span className="ml-1 text-[10px] font-semibold px-1.5 py-0.5 rounded bg-amber-100 text-amber-700" title={`${row.oldNode.description}\n->\n${row.newNode.description}`}>
+                            定義
+                          </span>
+                        )}
+                      </td>
+                      <DiffCells node={row.newNode} level={row.level} other={row.oldNode} muted={context} />
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpecDiffView;
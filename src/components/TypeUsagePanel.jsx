@@ -0,0 +1,194 @@
+import React, { useState, useMemo } from 'react';
+import { X, Boxes, AlertTriangle } from 'lucide-react';
+import { buildTypeUsage, compareStructure } from '../utils/typeUsage';
+
+// 結構樹最多列出的節點數，避免大型結構一次渲染過多
+const MAX_STRUCTURE_ROWS = 300;
+
+const variantLabel = (variant) => `結構 ${variant + 1}`;
+
+const describeDifference = ({ missing, extra, changed }) => [
+  missing.length > 0 && `缺少 ${missing.join('、')}`,
+  extra.length > 0 && `多出 ${extra.join('、')}`,
+  changed.length > 0 && `不同 ${changed.join('、')}`,
+].filter(Boolean).join('；') || '深層結構不同';
+
+// 以縮排列出一個節點底下的完整結構
+const StructureTree = ({ index, rootId }) => {
+  const rows = [];
+  const walk = (parentId, depth) => {
+    index.getChildren(parentId).forEach(child => {
+      if (rows.length >= MAX_STRUCTURE_ROWS) return;
+      rows.push({ node: child, depth });
+      walk(child.id, depth + 1);
+    });
+  };
+  walk(rootId, 0);
+
+  if (rows.length === 0) {
+    return <p className="text-xs text-slate-400">此型別沒有子節點</p>;
+  }
+
+  return (
+    <ul className="text-xs font-mono">
+      {rows.map(({ node, depth }) => (
+        <li key={node.id} className="flex gap-2 py-0.5" style={{ paddingLeft: `${depth * 16}px` }}>
+          <span className="text-slate-700">{node.name}</span>
+          <span className="text-slate-400">{node.cardinality}</span>
+        </li>
+      ))}
+      {rows.length >= MAX_STRUCTURE_ROWS && <li className="text-slate-400 py-0.5">...</li>}
+    </ul>
+  );
+};
+
+/**
+ * 型別 / Where Used 面板
+ * 依類型名 (如 shipTo.PartnerDescription 的 PartnerDescription) 將節點分組，
+ * 每個可重用的結構只列出一次，並列出所有出現位置；子結構與多數不同的位置會標示出來
+ * (停駐於樹狀表下方，點擊位置即定位節點)
+ */
+const TypeUsagePanel = ({ data, index, initialType, onLocate, onClose }) => {
+  const usage = useMemo(() => buildTypeUsage(data, index), [data, index]);
+
+  const [filter, setFilter] = useState('');
+  const [onlyDiffering, setOnlyDiffering] = useState(false);
+  const [showSingle, setShowSingle] = useState(false);
+  const [selectedType, setSelectedType] = useState(initialType || null);
+  const [selectedVariant, setSelectedVariant] = useState(0);
+
+  const lowerFilter = filter.trim().toLowerCase();
+  const types = usage.filter(entry =>
+    (showSingle || entry.occurrences.length > 1 || entry.type === selectedType)
+    && (!onlyDiffering || entry.differs)
+    && (!lowerFilter || entry.type.toLowerCase().includes(lowerFilter))
+  );
+
+  const current = usage.find(entry => entry.type === selectedType) || null;
+  const variant = current && (current.variants[selectedVariant] || current.variants[0]);
+
+  const selectType = (type) => {
+    setSelectedType(type);
+    setSelectedVariant(0);
+  };
+
+  return (
+    <div className="border-t-4 border-slate-800 bg-white shrink-0 h-[55vh] flex flex-col">
+      <div className="bg-slate-800 text-white px-6 py-2 flex items-center justify-between shrink-0">
+        <h2 className="font-bold text-sm flex items-center gap-2">
+          <Boxes className="w-5 h-5" /> 型別 / Where Used
+          <span className="font-normal text-slate-400">
+            {usage.filter(entry => entry.occurrences.length > 1).length} 個重複使用的型別，{usage.filter(entry => entry.differs).length} 個結構不一致
+          </span>
+        </h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-1 min-h-0">
+        <div className="w-80 shrink-0 border-r border-gray-200 flex flex-col min-h-0">
+          <div className="p-3 border-b border-gray-100 flex flex-col gap-2 text-xs text-slate-600">
+            <input
+              type="text"
+              className="w-full border border-gray-200 rounded px-2 py-1 focus:ring-2 focus:ring-blue-500 outline-none"
+              placeholder="篩選型別名稱"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+            <div className="flex gap-3">
+              <label className="flex items-center gap-1 cursor-pointer">
+                <input type="checkbox" checked={onlyDiffering} onChange={(e) => setOnlyDiffering(e.target.checked)} />
+                只顯示結構不一致
+              </label>
+              <label className="flex items-center gap-1 cursor-pointer">
+                <input type="checkbox" checked={showSingle} onChange={(e) => setShowSingle(e.target.checked)} />
+                含只出現一次
+              </label>
+            </div>
+          </div>
+          <ul className="overflow-auto min-h-0 text-sm">
+            {types.map(entry => (
+              <li key={entry.type}>
+                <button
+                  onClick={() => selectType(entry.type)}
+                  className={`w-full text-left px-3 py-1.5 flex items-center gap-2 ${entry.type === selectedType ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50 text-slate-700'}`}
+                >
+                  <span className="flex-1 min-w-0 truncate">{entry.type}</span>
+                  {entry.differs && (
+                    <span title="結構不一致" className="shrink-0"><AlertTriangle className="w-3.5 h-3.5 text-amber-500" /></span>
+                  )}
+                  <span className="text-xs font-mono text-slate-400 shrink-0">{entry.occurrences.length}</span>
+                </button>
+              </li>
+            ))}
+            {types.length === 0 && <li className="p-4 text-center text-xs text-slate-400">沒有符合的型別</li>}
+          </ul>
+        </div>
+
+        <div className="flex-1 min-w-0 overflow-auto p-4">
+          {!current ? (
+            <p className="text-center text-sm text-slate-400 pt-8">從左側選擇一個型別</p>
+          ) : (
+            <div className="flex flex-col gap-4">
+              <div>
+                <h3 className="text-lg font-bold text-slate-800">{current.type}</h3>
+                <p className="text-xs text-slate-500">
+                  出現 {current.occurrences.length} 次，{current.variants.length} 種結構
+                  {current.differs && <span className="ml-2 text-amber-600 font-semibold">子結構不一致</span>}
+                </p>
+              </div>
+
+              <section>
+                <div className="flex items-center gap-2 mb-1">
+                  <h4 className="text-xs uppercase tracking-wider font-semibold text-slate-400">結構</h4>
+                  {current.variants.length > 1 && current.variants.map((item, i) => (
+                    <button
+                      key={item.referenceId}
+                      onClick={() => setSelectedVariant(i)}
+                      className={`px-1.5 py-0.5 rounded text-[10px] font-semibold ${variant === item ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-500 hover:bg-slate-200'}`}
+                    >
+                      {variantLabel(i)} ({item.count})
+                    </button>
+                  ))}
+                </div>
+                <StructureTree index={index} rootId={variant.referenceId} />
+              </section>
+
+              <section>
+                <h4 className="text-xs uppercase tracking-wider font-semibold text-slate-400 mb-1">出現位置</h4>
+                <ul className="divide-y divide-gray-100">
+                  {current.occurrences.map(({ node, path, variant: occurrenceVariant }) => (
+                    <li key={node.id}>
+                      <button
+                        onClick={() => onLocate(node.id)}
+                        className="w-full text-left py-1.5 px-2 rounded hover:bg-blue-50 flex items-start gap-3 text-sm"
+                      >
+                        <span className="font-mono text-xs text-slate-400 w-10 shrink-0 pt-0.5">{node.fieldNo}</span>
+                        <span className="flex-1 min-w-0">
+                          <span className="block font-mono text-xs text-slate-700 break-all">{path}</span>
+                          {occurrenceVariant > 0 && (
+                            <span className="block text-xs text-amber-700 mt-0.5">
+                              {describeDifference(compareStructure(index, current.variants[0].referenceId, node.id))}
+                            </span>
+                          )}
+                        </span>
+                        {current.differs && (
+                          <span className={`text-[10px] font-semibold px-1.5 py-0.5 rounded shrink-0 ${occurrenceVariant > 0 ? 'bg-amber-100 text-amber-700' : 'bg-slate-100 text-slate-500'}`}>
+                            {variantLabel(occurrenceVariant)}
+                          </span>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TypeUsagePanel;
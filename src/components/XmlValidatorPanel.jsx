@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { X, Upload, ShieldCheck, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { validateXmlInstance } from '../utils/xmlValidator';
+
+const ISSUE_LABELS = {
+  parse: 'XML 格式',
+  root: '根元素',
+  unknown: '未定義元素',
+  missing: '缺少必填',
+  cardinality: '基數',
+  order: '順序',
+  choice: 'Choice',
+};
+
+/**
+ * XML 實例驗證面板
+ * 貼上或上傳 PIP XML，依目前載入的規範樹檢查；點擊錯誤即定位到樹狀表中的節點
+ * (停駐於樹狀表下方，定位時仍可看到結果清單)
+ */
+const XmlValidatorPanel = ({ data, onClose, onLocate }) => {
+  const [xmlText, setXmlText] = useState('');
+  const [issues, setIssues] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      setXmlText(ev.target.result);
+      setIssues(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const runValidation = () => {
+    setIssues(validateXmlInstance(xmlText, data));
+  };
+
+  return (
+    <div className="border-t-4 border-slate-800 bg-white shrink-0 max-h-[45vh] flex flex-col">
+      <div className="bg-slate-800 text-white px-6 py-2 flex items-center justify-between shrink-0">
+        <h2 className="font-bold text-sm flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5" /> 驗證 XML 訊息
+        </h2>
+        <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="p-4 flex flex-col gap-3 overflow-hidden min-h-0">
+        <textarea
+          className="w-full h-28 font-mono text-xs border border-gray-200 rounded-lg p-3 focus:ring-2 focus:ring-blue-500 outline-none resize-y"
+          placeholder="貼上 PIP XML 內容 (例如收到的 3A4 Purchase Order)"
+          value={xmlText}
+          onChange={(e) => { setXmlText(e.target.value); setIssues(null); }}
+        />
+
+        <div className="flex items-center justify-between">
+          <label className="text-sm text-slate-600 hover:text-blue-600 cursor-pointer flex items-center gap-1">
+            <Upload className="w-4 h-4" /> 上傳 .xml 檔案
+            <input type="file" accept=".xml,.txt" className="hidden" onChange={handleFile} />
+          </label>
+          <button
+            onClick={runValidation}
+            disabled={!xmlText.trim()}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors
+              ${xmlText.trim() ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-200 text-gray-400 cursor-not-allowed'}
+            `}
+          >
+            開始驗證
+          </button>
+        </div>
+
+        {issues && issues.length === 0 && (
+          <div className="flex items-center gap-2 p-3 bg-green-50 text-green-700 rounded-lg border border-green-200 text-sm">
+            <CheckCircle2 className="w-4 h-4" /> 驗證通過，沒有發現問題
+          </div>
+        )}
+
+        {issues && issues.length > 0 && (
+          <div className="flex flex-col min-h-0">
+            <p className="text-sm text-red-600 font-semibold mb-2 flex items-center gap-1">
+              <AlertCircle className="w-4 h-4" /> 發現 {issues.length} 個問題
+            </p>
+            <ul className="overflow-auto divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {issues.map((issue, index) => (
+                <li key={index}>
+                  <button
+                    onClick={() => issue.nodeId !== null && onLocate(issue.nodeId)}
+                    disabled={issue.nodeId === null}
+                    className="w-full text-left px-3 py-2 hover:bg-amber-50 flex items-start gap-3 disabled:hover:bg-transparent"
+                  >
+                    <span className="text-[10px] font-semibold px-1.5 py-0.5 rounded bg-red-100 text-red-600 shrink-0 mt-0.5">
+                      {ISSUE_LABELS[issue.type]}
+                    </span>
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-sm text-slate-700">{issue.message}</span>
+                      {issue.xpath && (
+                        <span className="block text-xs text-slate-400 font-mono truncate">{issue.xpath}</span>
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default XmlValidatorPanel;
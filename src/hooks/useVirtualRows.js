@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Windowed rendering for fixed-height table rows
+ * Tracks the scroll position of a container and returns the slice of rows to render,
+ * plus padding heights that keep the scrollbar proportional to the full list.
+ * Attach the returned `containerRef` callback to the scrolling element.
+ * @param {number} rowCount
+ * @param {number} rowHeight - px, must match the rendered row height
+ * @param {number} [overscan] - extra rows rendered above and below the viewport
+ */
+export const useVirtualRows = (rowCount, rowHeight, overscan = 10) => {
+    const [container, setContainer] = useState(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewportHeight, setViewportHeight] = useState(800);
+
+    useEffect(() => {
+        if (!container) return;
+
+        const handleScroll = () => setScrollTop(container.scrollTop);
+        const handleResize = () => setViewportHeight(container.clientHeight);
+
+        container.addEventListener('scroll', handleScroll, { passive: true });
+        const observer = new ResizeObserver(handleResize);
+        observer.observe(container);
+
+        return () => {
+            container.removeEventListener('scroll', handleScroll);
+            observer.disconnect();
+        };
+    }, [container]);
+
+    const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const end = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+    /**
+     * Scroll so that the row at `index` sits in the middle of the viewport
+     */
+    const scrollToIndex = useCallback((index, behavior = 'smooth') => {
+        if (!container || index < 0) return;
+        const top = index * rowHeight - (container.clientHeight - rowHeight) / 2;
+        container.scrollTo({ top: Math.max(0, top), behavior });
+    }, [container, rowHeight]);
+
+    return {
+        containerRef: setContainer,
+        start,
+        end,
+        topPadding: start * rowHeight,
+        bottomPadding: Math.max(0, rowCount - end) * rowHeight,
+        scrollToIndex,
+    };
+};
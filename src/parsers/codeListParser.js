@@ -0,0 +1,162 @@
+/**
+ * RosettaNet Code List Parser
+ * 從規範中找出代碼表 (如 GlobalCountryCode、GlobalDocumentFunctionCode)，
+ * 產生 Name -> { name, values: [{ code, description }] } 字典，供節點附加允許的列舉值
+ */
+
+// 代碼表表頭的代碼欄 / 說明欄
+const CODE_HEADER = /^(code|code\s*value|value|entity\s*instance)$/i;
+const DESCRIPTION_HEADER = /definition|description|meaning|name/i;
+
+// 代碼表名稱：Global 開頭或以 Code 結尾的識別字
+const CODE_LIST_NAME = /\b(Global[A-Za-z0-9]+|[A-Z][A-Za-z0-9]*Code)\b/;
+
+// 往前尋找表格標題時最多檢查的元素數
+const MAX_TITLE_LOOKBEHIND = 5;
+
+const cellText = (cell) => cell.textContent.replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+
+const matchCodeListName = (text) => {
+  const match = CODE_LIST_NAME.exec(text || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * 代碼表名稱：依序檢查 caption、表頭前的標題列、表格前方的標題或段落
+ */
+const findTableTitle = (table, rows, headerIndex) => {
+  const caption = table.querySelector('caption');
+  const fromCaption = caption && matchCodeListName(cellText(caption));
+  if (fromCaption) return fromCaption;
+
+  for (let i = headerIndex - 1; i >= 0; i--) {
+    const fromRow = matchCodeListName(cellText(rows[i]));
+    if (fromRow) return fromRow;
+  }
+
+  // 表格可能包在 div 等容器中，容器本身沒有前一個元素時往上一層找
+  let current = table;
+  for (let checked = 0; current && checked < MAX_TITLE_LOOKBEHIND; checked++) {
+    let previous = current.previousElementSibling;
+    while (!previous && current.parentElement && current.parentElement.tagName !== 'BODY') {
+      current = current.parentElement;
+      previous = current.previousElementSibling;
+    }
+    if (!previous) return null;
+    if (previous.tagName === 'TABLE') return null;
+    const fromText = matchCodeListName(cellText(previous));
+    if (fromText) return fromText;
+    current = previous;
+  }
+  return null;
+};
+
+/**
+ * 從 HTML 表格中找出代碼表
+ * 代碼表的表頭有 Code / Value 欄與 Definition / Description 欄，名稱取自表格標題
+ * @param {Array<Element>} tables - 文件中所有 table
+ * @returns {Map<string, {name: string, values: Array<{code: string, description: string}>, tableIndex: number}>}
+ */
+export const extractHtmlCodeLists = (tables) => {
+  const codeLists = new Map();
+
+  tables.forEach((table, tableIndex) => {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    const headerIndex = rows.findIndex(tr => {
+      const cells = Array.from(tr.querySelectorAll('th, td'));
+      return cells.length >= 2 && cells.some(cell => CODE_HEADER.test(cellText(cell)));
+    });
+    if (headerIndex < 0) return;
+
+    const headers = Array.from(rows[headerIndex].querySelectorAll('th, td')).map(cellText);
+    const codeColumn = headers.findIndex(text => CODE_HEADER.test(text));
+    let descriptionColumn = headers.findIndex((text, i) => i !== codeColumn && DESCRIPTION_HEADER.test(text));
+    if (descriptionColumn < 0) descriptionColumn = codeColumn + 1;
+
+    const name = findTableTitle(table, rows, headerIndex);
+    if (!name) return;
+
+    const values = [];
+    rows.slice(headerIndex + 1).forEach(tr => {
+      const cells = tr.querySelectorAll('th, td');
+      const code = cells[codeColumn] ? cellText(cells[codeColumn]) : '';
+      if (!code) return;
+      values.push({ code, description: cells[descriptionColumn] ? cellText(cells[descriptionColumn]) : '' });
+    });
+
+    if (values.length > 0 && !codeLists.has(name)) {
+      codeLists.set(name, { name, values, tableIndex });
+    }
+  });
+
+  return codeLists;
+};
+
+// 純文字代碼表表頭：Code 與 Definition / Description 欄以兩個以上空白分隔
+const TEXT_CODE_HEADER = /^\s*(code|code\s+value|value)\s{2,}(definition|description|meaning)\b/i;
+
+/**
+ * 判斷一行是否為純文字代碼表表頭
+ * @param {string} line
+ * @returns {boolean}
+ */
+export const isTextCodeListHeader = (line) => TEXT_CODE_HEADER.test(line);
+
+/**
+ * 從純文字 (固定欄寬) 規範中找出代碼表
+ * 表頭前最近的非空白行為代碼表名稱，以說明欄起始位置切分，縮排的續行併入上一筆，遇到空白行結束
+ * @param {Array<string>} lines - 已清理的文字行
+ * @returns {{codeLists: Map<string, Object>, consumedLines: Set<number>}} consumedLines 為代碼表佔用的行 (結構表解析需略過)
+ */
+export const extractTextCodeLists = (lines) => {
+  const codeLists = new Map();
+  const consumedLines = new Set();
+
+  lines.forEach((line, headerIndex) => {
+    const header = TEXT_CODE_HEADER.exec(line);
+    if (!header) return;
+
+    let name = null;
+    for (let i = headerIndex - 1; i >= 0; i--) {
+      if (lines[i].trim()) {
+        name = matchCodeListName(lines[i]);
+        break;
+      }
+    }
+
+    const descriptionColumn = line.toLowerCase().indexOf(header[2].toLowerCase(), header[1].length);
+    const values = [];
+    consumedLines.add(headerIndex);
+
+    for (let i = headerIndex + 1; i < lines.length && lines[i].trim(); i++) {
+      consumedLines.add(i);
+      const code = lines[i].substring(0, descriptionColumn).trim();
+      const description = lines[i].substring(descriptionColumn).trim();
+      if (code) {
+        values.push({ code, description });
+      } else if (values.length > 0) {
+        // 續行：併入上一筆說明
+        const last = values[values.length - 1];
+        last.description = `${last.description} ${description}`.trim();
+      }
+    }
+
+    if (name && values.length > 0 && !codeLists.has(name)) {
+      codeLists.set(name, { name, values });
+    }
+  });
+
+  return { codeLists, consumedLines };
+};
+
+/**
+ * 依節點名稱找出使用的代碼表：完整名稱優先，其次類型名 (parts[1])
+ * @param {Map<string, Object>} codeLists
+ * @param {string} name - 節點名稱 (如 countryCode.GlobalCountryCode)
+ * @returns {Object|null} 代碼表 { name, values }
+ */
+export const findCodeList = (codeLists, name) => {
+  if (codeLists.size === 0) return null;
+  const parts = name.split('.');
+  return codeLists.get(name) || (parts.length > 1 && codeLists.get(parts[1])) || null;
+};
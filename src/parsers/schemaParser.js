@@ -0,0 +1,411 @@
+/**
+ * XSD / DTD Schema Parsers
+ * Turn RosettaNet message guideline schemas into the same rawData rows as the
+ * HTML spec parser: [id, parentId, fieldNo, level, name, description, cardinality].
+ * XSD rows also carry the enumeration values of simple types as a code list
+ * ([..., definitionSource, codeList], see toSpecNodes).
+ * Sequences are flattened into their parent, except a Choice branch holding several
+ * particles, which becomes a "Sequence" group node so it stays one branch.
+ */
+
+const MAX_DEPTH = 64;
+
+/**
+ * Format occurrence bounds the way spec tables write them (1, 0..1, 0..n, 1..n)
+ * @param {number} min
+ * @param {number} max - Infinity for unbounded
+ * @returns {string}
+ */
+export const formatCardinality = (min, max) => {
+    if (min === max) return String(min);
+    return `${min}..${max === Infinity ? 'n' : max}`;
+};
+
+const ONCE = { min: 1, max: 1 };
+
+/**
+ * Combine the occurrence bounds of a group that is flattened away with those of a
+ * particle inside it, e.g. b? inside (a, b?)* -> 0..n
+ * @param {{min: number, max: number}} inner
+ * @param {{min: number, max: number}} outer
+ * @returns {{min: number, max: number}}
+ */
+const combineOccurs = (inner, outer) => ({
+    min: inner.min * outer.min,
+    // 0 * Infinity 為 NaN：任一方最多 0 次即不會出現
+    max: inner.max === 0 || outer.max === 0 ? 0 : inner.max * outer.max,
+});
+
+/**
+ * Collects rows and hands out sequential ids (field # follows document order)
+ */
+const createRowBuilder = () => {
+    const rows = [];
+    return {
+        rows,
+        add: (parentId, level, name, description, cardinality, codeList = null) => {
+            const id = rows.length + 1;
+            rows.push([id, parentId, String(id), level, name, description || "", cardinality, "", codeList]);
+            return id;
+        }
+    };
+};
+
+// --- XSD ---
+
+const localName = (qname) => (qname || '').split(':').pop();
+
+// 部分 DOM 實作 (如 Node 端的 linkedom) 的 localName 會帶前綴，統一去除
+const elementName = (el) => localName(el.localName || el.nodeName);
+
+const childrenByName = (el, ...names) => Array.from(el.children).filter(c => names.includes(elementName(c)));
+
+const readOccurs = (el) => {
+    const minAttr = el.getAttribute('minOccurs');
+    const maxAttr = el.getAttribute('maxOccurs');
+    const min = minAttr === null ? 1 : parseInt(minAttr, 10);
+    const max = maxAttr === null ? 1 : maxAttr === 'unbounded' ? Infinity : parseInt(maxAttr, 10);
+    return { min: isNaN(min) ? 1 : min, max: isNaN(max) ? 1 : max };
+};
+
+const readDocumentation = (el) => {
+    const annotation = childrenByName(el, 'annotation')[0];
+    if (!annotation) return "";
+    return childrenByName(annotation, 'documentation')
+        .map(d => d.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join(' ');
+};
+
+/**
+ * Read the xs:enumeration facets of a simple type as a code list,
+ * following restriction bases through other named simple types
+ * @param {Element} simpleType
+ * @param {Map<string, Element>} simpleTypes - named simple types
+ * @param {string} listName
+ * @returns {{name: string, values: Array<{code: string, description: string}>}|null}
+ */
+const readEnumeration = (simpleType, simpleTypes, listName) => {
+    const seen = new Set();
+    let current = simpleType;
+    while (current && !seen.has(current)) {
+        seen.add(current);
+        const restriction = childrenByName(current, 'restriction')[0];
+        if (!restriction) return null;
+
+        const values = childrenByName(restriction, 'enumeration').map(facet => ({
+            code: facet.getAttribute('value') || '',
+            description: readDocumentation(facet),
+        }));
+        if (values.length > 0) return { name: listName, values };
+
+        current = simpleTypes.get(localName(restriction.getAttribute('base')))
+            || childrenByName(restriction, 'simpleType')[0];
+    }
+    return null;
+};
+
+/**
+ * Parse an XML Schema into rawData rows
+ * Global elements not referenced by any other declaration become roots.
+ * @param {string} xsdContent
+ * @returns {Array} rawData rows
+ */
+export const parseXsd = (xsdContent) => {
+    const doc = new DOMParser().parseFromString(xsdContent.replace(/\uFFFD/g, ''), 'application/xml');
+    const parseError = doc.getElementsByTagName('parsererror')[0];
+    if (parseError) {
+        throw new Error("XSD 格式錯誤: " + parseError.textContent.trim().split('\n')[0]);
+    }
+
+    const schema = doc.documentElement;
+    if (!schema || elementName(schema) !== 'schema') {
+        throw new Error("找不到 xs:schema 根元素，請確認檔案內容。");
+    }
+
+    const globalElements = new Map(childrenByName(schema, 'element').map(el => [el.getAttribute('name'), el]));
+    const complexTypes = new Map(childrenByName(schema, 'complexType').map(el => [el.getAttribute('name'), el]));
+    const groups = new Map(childrenByName(schema, 'group').map(el => [el.getAttribute('name'), el]));
+    const simpleTypes = new Map(childrenByName(schema, 'simpleType').map(el => [el.getAttribute('name'), el]));
+
+    // 列舉值：具名 simpleType 以型別名稱為代碼表名稱 (同型別共用)，內嵌 simpleType 以元素名稱為名稱
+    const namedEnumerations = new Map();
+    const enumerationOf = (decl, name, typeName) => {
+        const inlineSimple = childrenByName(decl, 'simpleType')[0];
+        if (inlineSimple) return readEnumeration(inlineSimple, simpleTypes, name);
+        if (!typeName || !simpleTypes.has(typeName)) return null;
+        if (!namedEnumerations.has(typeName)) {
+            namedEnumerations.set(typeName, readEnumeration(simpleTypes.get(typeName), simpleTypes, typeName));
+        }
+        return namedEnumerations.get(typeName);
+    };
+
+    const builder = createRowBuilder();
+
+    // Choice 的分支若是含多個成員的 sequence / all (或參照這類 group 的 group)，保留為一個 Sequence 節點；
+    // 攤平的話每個成員會各自變成一個分支，內容模型就變了
+    const expandBranch = (particle, choiceId, level, typeStack) => {
+        let model = particle;
+        if (elementName(particle) === 'group') {
+            const target = groups.get(localName(particle.getAttribute('ref')));
+            model = target ? childrenByName(target, 'sequence', 'choice', 'all')[0] : null;
+        }
+        const members = model && ['sequence', 'all'].includes(elementName(model))
+            ? childrenByName(model, 'element', 'sequence', 'choice', 'all', 'group')
+            : [];
+        if (members.length <= 1) {
+            expandParticle(particle, choiceId, level, typeStack);
+            return;
+        }
+
+        // group 參照的 minOccurs / maxOccurs 寫在參照上，sequence 的寫在自身
+        const { min, max } = combineOccurs(readOccurs(particle), model === particle ? ONCE : readOccurs(model));
+        const sequenceId = builder.add(choiceId, level, 'Sequence', readDocumentation(model), formatCardinality(min, max));
+        members.forEach(member => expandParticle(member, sequenceId, level + 1, typeStack));
+    };
+
+    // sequence / all / group 攤平成同層子節點，choice 保留為 Choice 節點；
+    // 攤平的群組本身的 minOccurs / maxOccurs (outer) 併入其下每個子節點的基數
+    const expandParticle = (particle, parentId, level, typeStack, outer = ONCE) => {
+        switch (elementName(particle)) {
+            case 'element':
+                expandElement(particle, parentId, level, typeStack, outer);
+                break;
+            case 'sequence':
+            case 'all': {
+                const occurs = combineOccurs(readOccurs(particle), outer);
+                Array.from(particle.children).forEach(child => expandParticle(child, parentId, level, typeStack, occurs));
+                break;
+            }
+            case 'choice': {
+                const { min, max } = combineOccurs(readOccurs(particle), outer);
+                const choiceId = builder.add(parentId, level, 'Choice', readDocumentation(particle), formatCardinality(min, max));
+                Array.from(particle.children).forEach(child => expandBranch(child, choiceId, level + 1, typeStack));
+                break;
+            }
+            case 'group': {
+                const target = groups.get(localName(particle.getAttribute('ref')));
+                if (target) {
+                    const occurs = combineOccurs(readOccurs(particle), outer);
+                    childrenByName(target, 'sequence', 'choice', 'all')
+                        .forEach(model => expandParticle(model, parentId, level, typeStack, occurs));
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    };
+
+    const expandComplexType = (typeEl, parentId, level, typeStack) => {
+        Array.from(typeEl.children).forEach(part => {
+            if (['sequence', 'choice', 'all', 'group'].includes(elementName(part))) {
+                expandParticle(part, parentId, level, typeStack);
+            } else if (elementName(part) === 'complexContent') {
+                const derivation = childrenByName(part, 'extension', 'restriction')[0];
+                if (!derivation) return;
+                // extension：先展開基底型別，再加上自身內容
+                if (elementName(derivation) === 'extension') {
+                    const baseName = localName(derivation.getAttribute('base'));
+                    const baseType = complexTypes.get(baseName);
+                    if (baseType && !typeStack.includes(baseName)) {
+                        expandComplexType(baseType, parentId, level, [...typeStack, baseName]);
+                    }
+                }
+                expandComplexType(derivation, parentId, level, typeStack);
+            }
+        });
+    };
+
+    const expandElement = (el, parentId, level, typeStack, outer = ONCE) => {
+        const occurs = combineOccurs(readOccurs(el), outer);
+        let decl = el;
+
+        const ref = el.getAttribute('ref');
+        if (ref) {
+            decl = globalElements.get(localName(ref));
+            if (!decl) {
+                builder.add(parentId, level, localName(ref), readDocumentation(el), formatCardinality(occurs.min, occurs.max));
+                return;
+            }
+        }
+
+        const name = decl.getAttribute('name');
+        const typeName = localName(decl.getAttribute('type'));
+        const namedType = typeName ? complexTypes.get(typeName) : null;
+        const description = readDocumentation(el) || readDocumentation(decl) || (namedType ? readDocumentation(namedType) : "");
+
+        const id = builder.add(parentId, level, name, description, formatCardinality(occurs.min, occurs.max), enumerationOf(decl, name, typeName));
+
+        // 遞迴型別或過深的結構只列出節點本身
+        const stackKey = typeName || `element:${name}`;
+        if (typeStack.includes(stackKey) || typeStack.length > MAX_DEPTH) return;
+
+        const inlineType = childrenByName(decl, 'complexType')[0];
+        if (inlineType) {
+            expandComplexType(inlineType, id, level + 1, [...typeStack, stackKey]);
+        } else if (namedType) {
+            expandComplexType(namedType, id, level + 1, [...typeStack, stackKey]);
+        }
+    };
+
+    // 根元素：沒有被其他宣告 ref 的全域元素
+    const referenced = new Set(
+        Array.from(schema.querySelectorAll('*'))
+            .filter(el => elementName(el) === 'element')
+            .map(el => localName(el.getAttribute('ref')))
+            .filter(Boolean)
+    );
+    let roots = Array.from(globalElements.values()).filter(el => !referenced.has(el.getAttribute('name')));
+    if (roots.length === 0) roots = Array.from(globalElements.values());
+
+    roots.forEach(root => {
+        const id = builder.add(0, 0, root.getAttribute('name'), readDocumentation(root), "1");
+        const typeName = localName(root.getAttribute('type'));
+        const typeEl = childrenByName(root, 'complexType')[0] || complexTypes.get(typeName);
+        if (typeEl) expandComplexType(typeEl, id, 1, [typeName || `element:${root.getAttribute('name')}`]);
+    });
+
+    if (builder.rows.length === 0) {
+        throw new Error("XSD 中沒有找到任何全域元素宣告。");
+    }
+
+    return builder.rows;
+};
+
+// --- DTD ---
+
+/**
+ * Tokenize and parse a DTD content model such as "(a, b?, (c | d)+)*"
+ * @param {string} model
+ * @returns {Object} particle tree: { kind: 'element'|'seq'|'choice'|'pcdata', name?, items?, min, max }
+ */
+const parseContentModel = (model) => {
+    const tokens = model.match(/#PCDATA|[\w.:-]+|[(),|?*+]/g) || [];
+    let pos = 0;
+
+    const applyOccurrence = (particle) => {
+        const next = tokens[pos];
+        if (next === '?') { pos++; return { ...particle, min: 0, max: 1 }; }
+        if (next === '*') { pos++; return { ...particle, min: 0, max: Infinity }; }
+        if (next === '+') { pos++; return { ...particle, min: 1, max: Infinity }; }
+        return particle;
+    };
+
+    const parseParticle = () => {
+        const token = tokens[pos++];
+        if (token === '(') {
+            const items = [parseParticle()];
+            let kind = 'seq';
+            while (tokens[pos] === ',' || tokens[pos] === '|') {
+                kind = tokens[pos] === '|' ? 'choice' : 'seq';
+                pos++;
+                items.push(parseParticle());
+            }
+            if (tokens[pos] === ')') pos++;
+            return applyOccurrence({ kind, items, min: 1, max: 1 });
+        }
+        if (token === '#PCDATA') return { kind: 'pcdata', min: 1, max: 1 };
+        return applyOccurrence({ kind: 'element', name: token, min: 1, max: 1 });
+    };
+
+    return tokens.length > 0 ? parseParticle() : null;
+};
+
+/**
+ * Parse a DTD into rawData rows
+ * Elements not used in any other content model become roots; a comment directly
+ * before an <!ELEMENT> declaration is used as its description.
+ * @param {string} dtdContent
+ * @returns {Array} rawData rows
+ */
+export const parseDtd = (dtdContent) => {
+    let text = dtdContent.replace(/\uFFFD/g, '');
+
+    // 展開參數實體 <!ENTITY % name "value">
+    const entities = {};
+    text.replace(/<!ENTITY\s+%\s+([\w.:-]+)\s+(["'])([\s\S]*?)\2\s*>/g, (m, name, q, value) => {
+        entities[name] = value;
+        return m;
+    });
+    for (let pass = 0; pass < 10 && /%[\w.:-]+;/.test(text); pass++) {
+        text = text.replace(/%([\w.:-]+);/g, (m, name) => (entities[name] !== undefined ? entities[name] : m));
+    }
+
+    const declarations = new Map();
+    const declRegex = /(?:<!--((?:(?!-->)[\s\S])*)-->\s*)?<!ELEMENT\s+([\w.:-]+)\s+([\s\S]*?)>/g;
+    let match;
+    while ((match = declRegex.exec(text)) !== null) {
+        const [, comment, name, model] = match;
+        declarations.set(name, {
+            description: (comment || '').replace(/\s+/g, ' ').trim(),
+            model: model.trim()
+        });
+    }
+
+    if (declarations.size === 0) {
+        throw new Error("DTD 中沒有找到任何 <!ELEMENT> 宣告。");
+    }
+
+    const parsedModels = new Map();
+    declarations.forEach((decl, name) => {
+        const isLeaf = /^(EMPTY|ANY)$/.test(decl.model) || decl.model.includes('#PCDATA');
+        parsedModels.set(name, isLeaf ? null : parseContentModel(decl.model));
+    });
+
+    const builder = createRowBuilder();
+
+    // 序列攤平為同層子節點，序列本身的出現次數 (outer，如 (a, b)*) 併入每個子節點的基數
+    const expandParticle = (particle, parentId, level, stack, outer = ONCE) => {
+        if (!particle) return;
+        const occurs = combineOccurs(particle, outer);
+        const cardinality = formatCardinality(occurs.min, occurs.max);
+
+        if (particle.kind === 'element') {
+            const decl = declarations.get(particle.name);
+            const id = builder.add(parentId, level, particle.name, decl ? decl.description : "", cardinality);
+            if (!stack.includes(particle.name) && stack.length <= MAX_DEPTH) {
+                expandElementContent(particle.name, id, level + 1, [...stack, particle.name]);
+            }
+        } else if (particle.kind === 'seq') {
+            particle.items.forEach(item => expandParticle(item, parentId, level, stack, occurs));
+        } else if (particle.kind === 'choice') {
+            const choiceId = builder.add(parentId, level, 'Choice', "", cardinality);
+            particle.items.forEach(item => {
+                // 含多個成員的分支 ((a, b) | c) 保留為一個 Sequence 節點，不攤平成各自的分支
+                if (item.kind === 'seq' && item.items.length > 1) {
+                    const sequenceId = builder.add(choiceId, level + 1, 'Sequence', "", formatCardinality(item.min, item.max));
+                    item.items.forEach(member => expandParticle(member, sequenceId, level + 2, stack));
+                } else {
+                    expandParticle(item, choiceId, level + 1, stack);
+                }
+            });
+        }
+    };
+
+    const expandElementContent = (name, parentId, level, stack) => {
+        const model = parsedModels.get(name);
+        if (!model) return;
+        // 元素本身的內容模型：外層 sequence 展開為子節點 (其 ?、*、+ 併入子節點)，外層 choice 保留為 Choice 節點
+        expandParticle(model, parentId, level, stack);
+    };
+
+    // 根元素：沒有出現在任何內容模型中的元素
+    const referenced = new Set();
+    const collect = (particle) => {
+        if (!particle) return;
+        if (particle.kind === 'element') referenced.add(particle.name);
+        (particle.items || []).forEach(collect);
+    };
+    parsedModels.forEach(collect);
+
+    let roots = Array.from(declarations.keys()).filter(name => !referenced.has(name));
+    if (roots.length === 0) roots = [declarations.keys().next().value];
+
+    roots.forEach(name => {
+        const id = builder.add(0, 0, name, declarations.get(name).description, "1");
+        expandElementContent(name, id, 1, [name]);
+    });
+
+    return builder.rows;
+};
@@ -0,0 +1,461 @@
+/**
+ * RosettaNet Spec Parser
+ * 解析 HTML / 純文字 / XSD / DTD 規範為 rawData 陣列
+ * 不依賴 React，可在瀏覽器或 Node (需提供全域 DOMParser，例如 linkedom) 中使用
+ */
+
+import { parseXsd, parseDtd } from './schemaParser.js';
+import { extractHtmlCodeLists, extractTextCodeLists, isTextCodeListHeader, findCodeList } from './codeListParser.js';
+
+/**
+ * 依節點名稱查詢定義，並回傳是以哪個鍵找到的
+ * 優先順序：完整名稱 -> 屬性名(parts[0]) -> 類型名(parts[1])
+ * @param {Object} definitions - Name -> Definition 字典
+ * @param {string} name - 節點名稱 (如 shipTo.PartnerDescription)
+ * @returns {{description: string, source: 'name'|'attribute'|'type'|''}} 找不到時皆為空字串
+ */
+export const matchDefinition = (definitions, name) => {
+  const parts = name.split('.');
+
+  if (definitions[name]) {
+    return { description: definitions[name], source: 'name' };
+  } else if (parts.length > 0 && definitions[parts[0]]) {
+    return { description: definitions[parts[0]], source: 'attribute' };
+  } else if (parts.length > 1 && definitions[parts[1]]) {
+    return { description: definitions[parts[1]], source: 'type' };
+  }
+  return { description: "", source: "" };
+};
+
+/**
+ * 依節點名稱查詢定義 (優先順序見 matchDefinition)
+ * @param {Object} definitions - Name -> Definition 字典
+ * @param {string} name - 節點名稱 (如 shipTo.PartnerDescription)
+ * @returns {string} 定義文字，找不到時為空字串
+ */
+export const lookupDefinition = (definitions, name) => matchDefinition(definitions, name).description;
+
+// 預設欄位配置：第 1 欄 Field #、第 2 欄 Cardinality、第 3 欄名稱 (0 起算)
+export const DEFAULT_HTML_COLUMNS = { fieldNo: 0, cardinality: 1, name: 2 };
+
+const cellText = (td) => td.textContent.replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+
+// 診斷用的列文字：各欄以 " · " 分隔
+const rowText = (tr) => Array.from(tr.querySelectorAll('td, th')).map(cellText).join(' · ');
+
+/**
+ * 解析 RosettaNet HTM 檔案內容，並記錄解析過程中的判斷 (供診斷面板使用)
+ * @param {string} htmlContent - 檔案的 HTML 文字內容
+ * @param {Object} [options]
+ * @param {number} [options.tableIndex] - 手動指定結構表 (文件中第幾個 table，0 起算)
+ * @param {{fieldNo: number, cardinality: number, name: number}} [options.columns] - 手動指定欄位配置
+ * @returns {{rawData: Array, tables: Array<Object>, chosenTable: number, selection: 'tree'|'largest'|'manual', columns: Object, skippedRows: Array<Object>, nameFallbacks: Array<Object>, codeLists: Array<Object>}}
+ */
+export const analyzeRosettaNetHtml = (htmlContent, options = {}) => {
+  // 0. 預處理：清除 Unicode 替換字元 ( / U+FFFD)
+  const cleanContent = htmlContent.replace(/\uFFFD/g, '');
+
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(cleanContent, 'text/html');
+
+  // 1. 建立定義字典 (Name -> Definition)
+  const definitions = {};
+  const tables = Array.from(doc.querySelectorAll('table'));
+  const definitionTables = new Set();
+
+  tables.forEach(table => {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    // 檢查表頭或內容是否包含定義關鍵字
+    const isDefTable = rows.some(tr => {
+      const text = tr.textContent.toLowerCase();
+      return text.includes('name') && text.includes('definition');
+    });
+
+    if (isDefTable) {
+      definitionTables.add(table);
+      rows.forEach(tr => {
+        const tds = tr.querySelectorAll('td');
+        if (tds.length >= 2) {
+          const name = tds[0].textContent.trim();
+          let def = tds[1].textContent.trim();
+
+          // 強健的 Unformatted text 取代邏輯 (忽略大小寫、忽略句點)
+          if (/^unformatted\s*text\.?$/i.test(def)) {
+            def = "";
+          }
+
+          if (name && name.toLowerCase() !== 'name') {
+            definitions[name] = def;
+          }
+        }
+      });
+    }
+  });
+
+  // 代碼表 (Code / Definition 表格)，依名稱或類型附加到節點
+  const codeLists = extractHtmlCodeLists(tables);
+
+  // 候選表格資訊：列數、含 "|--" 的列數 (樹狀分數)、最多欄數
+  const candidates = tables.map((table, index) => {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    const treeRow = rows.find(tr => tr.textContent.includes('|--'));
+    return {
+      index,
+      rowCount: rows.length,
+      treeScore: rows.filter(tr => tr.textContent.includes('|--')).length,
+      columnCount: rows.reduce((max, tr) => Math.max(max, tr.querySelectorAll('td').length), 0),
+      isDefinitionTable: definitionTables.has(table),
+      sample: treeRow || rows[0] ? rowText(treeRow || rows[0]).slice(0, 120) : '',
+    };
+  });
+
+  // 2. 解析主結構樹
+  // 策略：尋找包含階層特徵符號 "|--" 且行數最多的表格
+  let mainTable = null;
+  let selection = 'tree';
+
+  if (options.tableIndex !== undefined && options.tableIndex !== null) {
+    mainTable = tables[options.tableIndex] || null;
+    selection = 'manual';
+  } else {
+    let maxTreeScore = 0;
+    candidates.forEach(candidate => {
+      if (candidate.rowCount > 5 && candidate.treeScore > maxTreeScore) {
+        maxTreeScore = candidate.treeScore;
+        mainTable = tables[candidate.index];
+      }
+    });
+
+    // 如果找不到明顯的樹狀表，嘗試找欄位數正確的大表
+    if (!mainTable) {
+      console.warn("找不到含有 |-- 的表格，嘗試尋找最大的資料表...");
+      mainTable = [...tables].sort((a, b) => b.querySelectorAll('tr').length - a.querySelectorAll('tr').length)[0];
+      selection = 'largest';
+    }
+  }
+
+  if (!mainTable) {
+    throw new Error("無法識別任何有效的表格結構，請確認檔案內容。");
+  }
+
+  const columns = { ...DEFAULT_HTML_COLUMNS, ...options.columns };
+  const minCells = Math.max(columns.fieldNo, columns.cardinality, columns.name) + 1;
+
+  const rawData = [];
+  const skippedRows = [];
+  const nameFallbacks = [];
+  const rows = Array.from(mainTable.querySelectorAll('tr'));
+
+  // 追蹤每一層最後出現的 ID，用於建立父子關係
+  // parentIds[level] = id
+  const parentIds = { "-1": 0 };
+
+  rows.forEach((tr, rowIndex) => {
+    const tds = tr.querySelectorAll('td');
+    // 確保這一行有足夠的欄位 (ID, Cardinality/Count, Name)
+    if (tds.length < minCells) {
+      skippedRows.push({ rowIndex, reason: 'cells', text: rowText(tr) });
+      return;
+    }
+
+    // 嘗試解析欄位 1: ID
+    const fieldNoStr = tds[columns.fieldNo].textContent.trim();
+    // 有些檔案 ID 是放在 <a> 標籤內，濾掉非數字字元
+    const cleanIdStr = fieldNoStr.replace(/[^\d]/g, '');
+    const id = parseInt(cleanIdStr, 10);
+
+    // 如果第一欄不是數字，跳過 (可能是表頭)
+    if (isNaN(id)) {
+      skippedRows.push({ rowIndex, reason: 'fieldNo', text: rowText(tr) });
+      return;
+    }
+
+    // 欄位 2: Cardinality (1, 0..1, 0..n, 1..n)
+    const cardinality = tds[columns.cardinality].textContent.replace(/\u00a0/g, " ").replace(/\s+/g, "");
+
+    // 嘗試取得名稱欄位：通常在第 3 欄 (Index 2)
+    let nameTd = tds[columns.name];
+    let rawNameText = nameTd.textContent;
+
+    // 處理 HTML Entity (如 &nbsp;)
+    rawNameText = rawNameText.replace(/\u00a0/g, " ");
+
+    // 計算層級：計算 "|" 的數量
+    const pipeCount = (rawNameText.match(/\|/g) || []).length;
+    let level = pipeCount;
+
+    // 清理名稱：移除 "|", "--", 點點等符號
+    let cleanName = rawNameText.replace(/[|-]/g, '').trim();
+
+    // 假如 cleanName 是空的 (或是只有點)，可能抓錯欄位或格式特殊
+    if (!cleanName && tds.length > columns.name + 1) {
+      // 嘗試下一欄
+      rawNameText = tds[columns.name + 1].textContent;
+      cleanName = rawNameText.replace(/[|-]/g, '').trim();
+      nameFallbacks.push({ rowIndex, id, fieldNo: fieldNoStr, name: cleanName });
+    }
+
+    // 處理 parentId
+    const parentId = parentIds[level - 1] !== undefined ? parentIds[level - 1] : 0;
+
+    // 更新當前層級的 ID
+    parentIds[level] = id;
+
+    // 查詢 Description (並記錄以哪個鍵找到，供節點詳細資料顯示)
+    const { description, source } = matchDefinition(definitions, cleanName);
+
+    // [id, parentId, fieldNo, level, name, description, cardinality, definitionSource, codeList]
+    rawData.push([id, parentId, fieldNoStr, level, cleanName, description, cardinality, source, findCodeList(codeLists, cleanName)]);
+  });
+
+  return {
+    rawData,
+    tables: candidates,
+    chosenTable: tables.indexOf(mainTable),
+    selection,
+    columns,
+    skippedRows,
+    nameFallbacks,
+    codeLists: Array.from(codeLists.values(), list => ({ name: list.name, tableIndex: list.tableIndex, valueCount: list.values.length })),
+  };
+};
+
+/**
+ * 解析 RosettaNet HTM 檔案內容
+ * @param {string} htmlContent - 檔案的 HTML 文字內容
+ * @param {Object} [options] - 手動指定表格與欄位配置 (見 analyzeRosettaNetHtml)
+ * @returns {Array} 格式化後的 rawData 陣列
+ */
+export const parseRosettaNetHtml = (htmlContent, options) => analyzeRosettaNetHtml(htmlContent, options).rawData;
+
+// 基數欄位格式：1、0..1、0..n、1..n (部分匯出使用 * 代表 n)
+const CARDINALITY_PATTERN = /^\d+(\.\.(\d+|n|\*))?$/i;
+
+/**
+ * 解析 RosettaNet 純文字 (固定欄寬) 規範內容
+ * 結構列格式：Field # / Cardinality / 以 "|--" 表示階層的名稱
+ * 定義表格式：表頭同時含 "Name" 與 "Definition"，以 Definition 欄位起始位置切分，
+ * 縮排的續行會併入上一筆定義
+ * @param {string} textContent - 檔案的純文字內容
+ * @returns {Array} 格式化後的 rawData 陣列 (與 parseRosettaNetHtml 相同)
+ */
+export const parseRosettaNetText = (textContent) => {
+  const lines = textContent
+    .replace(/\uFFFD/g, '')
+    .replace(/\u00a0/g, ' ')
+    .replace(/\t/g, '    ')
+    .split(/\r?\n/);
+
+  // 1. 建立定義字典 (Name -> Definition)
+  const definitions = {};
+  let defColumn = -1;
+  let lastDefName = null;
+
+  lines.forEach(line => {
+    // 代碼表另行解析，遇到代碼表表頭即結束定義表
+    if (isTextCodeListHeader(line)) {
+      defColumn = -1;
+      lastDefName = null;
+      return;
+    }
+
+    const lower = line.toLowerCase();
+    const headerMatch = /\bname\b.*\bdefinition\b/.exec(lower);
+    if (headerMatch) {
+      defColumn = lower.indexOf('definition', headerMatch.index);
+      lastDefName = null;
+      return;
+    }
+    if (defColumn < 0) return;
+
+    if (!line.trim()) {
+      lastDefName = null;
+      return;
+    }
+
+    const namePart = line.substring(0, defColumn).trim();
+    const defPart = line.substring(defColumn).trim();
+
+    if (namePart && !/\s/.test(namePart)) {
+      let def = defPart;
+      if (/^unformatted\s*text\.?$/i.test(def)) {
+        def = "";
+      }
+      definitions[namePart] = def;
+      lastDefName = namePart;
+    } else if (!namePart && lastDefName && definitions[lastDefName] !== undefined) {
+      // 續行：併入上一筆定義
+      definitions[lastDefName] = `${definitions[lastDefName]} ${defPart}`.trim();
+    } else {
+      // 非定義表內容 (例如下一段的結構表)，結束定義表
+      defColumn = -1;
+      lastDefName = null;
+    }
+  });
+
+  const { codeLists, consumedLines } = extractTextCodeLists(lines);
+
+  // 2. 解析主結構樹
+  const rawData = [];
+  const parentIds = { "-1": 0 };
+
+  lines.forEach((line, lineIndex) => {
+    // 代碼表中的行 (如 "1  Accept") 不是結構列
+    if (consumedLines.has(lineIndex)) return;
+
+    const match = /^\s*(\d+)\s+(\S+)\s+(.*)$/.exec(line);
+    if (!match) return;
+
+    const [, fieldNoStr, cardinality, rawNameText] = match;
+    if (!CARDINALITY_PATTERN.test(cardinality)) return;
+
+    const id = parseInt(fieldNoStr, 10);
+
+    // 計算層級：計算 "|" 的數量
+    const level = (rawNameText.match(/\|/g) || []).length;
+
+    // 清理名稱：移除 "|", "--" 等符號
+    const cleanName = rawNameText.replace(/[|-]/g, '').trim();
+    if (!cleanName) return;
+
+    const parentId = parentIds[level - 1] !== undefined ? parentIds[level - 1] : 0;
+    parentIds[level] = id;
+
+    const { description, source } = matchDefinition(definitions, cleanName);
+
+    rawData.push([id, parentId, fieldNoStr, level, cleanName, description, cardinality, source, findCodeList(codeLists, cleanName)]);
+  });
+
+  if (rawData.length === 0) {
+    throw new Error("無法識別任何有效的文字表格結構，請確認檔案內容。");
+  }
+
+  return rawData;
+};
+
+/**
+ * 判斷規範檔案格式
+ * @param {string} content - 檔案內容
+ * @returns {'xsd'|'dtd'|'html'|'text'}
+ */
+export const detectSpecFormat = (content) => {
+  if (/<\s*([\w-]+:)?schema[\s>]/.test(content)) return 'xsd';
+  if (/<!ELEMENT\s/.test(content) && !/<\s*(table|html)\b/i.test(content)) return 'dtd';
+  return /<\s*(table|html|body|tr)\b/i.test(content) ? 'html' : 'text';
+};
+
+const SPEC_PARSERS = {
+  xsd: parseXsd,
+  dtd: parseDtd,
+  html: parseRosettaNetHtml,
+  text: parseRosettaNetText,
+};
+
+/**
+ * 依內容自動選擇解析器
+ * @param {string} content - 檔案內容 (HTML、純文字、XSD 或 DTD)
+ * @param {Object} [options] - HTML 格式可手動指定表格與欄位配置 (見 analyzeRosettaNetHtml)
+ * @returns {Array} 格式化後的 rawData 陣列
+ */
+export const parseRosettaNetSpec = (content, options) => {
+  return SPEC_PARSERS[detectSpecFormat(content)](content, options);
+};
+
+/**
+ * 檢查解析結果：層級跳躍超過一層、重複的 Field #、沒有定義的名稱
+ * @param {Array} rawData - [id, parentId, fieldNo, level, name, description, cardinality]
+ * @returns {{levelJumps: Array<Object>, duplicateFieldNos: Array<Object>, missingDefinitions: Array<Object>}}
+ */
+const checkSpecRows = (rawData) => {
+  const levelJumps = [];
+  const fieldNoRows = new Map();
+  const missingDefinitions = [];
+  let previousLevel = null;
+
+  rawData.forEach(([id, , fieldNo, level, name, description]) => {
+    if (previousLevel !== null && level > previousLevel + 1) {
+      levelJumps.push({ id, fieldNo, name, from: previousLevel, to: level });
+    }
+    previousLevel = level;
+
+    if (!fieldNoRows.has(id)) fieldNoRows.set(id, []);
+    fieldNoRows.get(id).push({ fieldNo, name });
+
+    if (!description) missingDefinitions.push({ id, fieldNo, name });
+  });
+
+  const duplicateFieldNos = Array.from(fieldNoRows, ([id, rows]) => ({ id, rows }))
+    .filter(entry => entry.rows.length > 1);
+
+  return { levelJumps, duplicateFieldNos, missingDefinitions };
+};
+
+/**
+ * 解析並回傳診斷資訊，說明解析器做了哪些判斷
+ * HTML 另外列出候選表格、採用的表格與欄位配置、被跳過的列與改用下一欄的名稱
+ * @param {string} content - 檔案內容
+ * @param {Object} [options] - HTML 格式可手動指定表格與欄位配置
+ * @returns {Object} { format, rawData, error, levelJumps, duplicateFieldNos, missingDefinitions, html }
+ *   html 僅 HTML 格式提供 (analyzeRosettaNetHtml 的結果，不含 rawData)
+ */
+export const diagnoseRosettaNetSpec = (content, options) => {
+  const format = detectSpecFormat(content);
+  let rawData = [];
+  let html = null;
+  let error = null;
+
+  try {
+    if (format === 'html') {
+      const { rawData: htmlRows, ...rest } = analyzeRosettaNetHtml(content, options);
+      rawData = htmlRows;
+      html = rest;
+    } else {
+      rawData = SPEC_PARSERS[format](content);
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  return { format, rawData, error, html, ...checkSpecRows(rawData) };
+};
+
+/**
+ * 將 rawData 陣列轉為節點物件
+ * @param {Array} parsedData - [id, parentId, fieldNo, level, name, description, cardinality, definitionSource, codeList]
+ *   definitionSource 僅 HTML / 純文字規範提供 (定義是以完整名稱、屬性名或類型名找到)；
+ *   codeList 為節點允許的列舉值 { name, values: [{ code, description }] }，沒有時為 null
+ * @returns {Array<Object>}
+ */
+export const toSpecNodes = (parsedData) => parsedData.map(item => ({
+  id: item[0],
+  parentId: item[1],
+  fieldNo: item[2],
+  level: item[3],
+  name: item[4],
+  description: item[5],
+  cardinality: item[6] || "",
+  definitionSource: item[7] || "",
+  codeList: item[8] || null
+}));
+
+// PIP 代碼如 3A4、3B2、7B1、3A13 (數字 + 字母 + 1~2 位數字)
+const PIP_CODE = '(\\d[A-Z]\\d{1,2})';
+
+/**
+ * 偵測規範所屬的 PIP：依序檢查根節點名稱 (Pip3A4PurchaseOrderRequest)、
+ * 內容中的 "PIP 3A4" 字樣，最後是檔名
+ * @param {Array} parsedData - rawData 陣列
+ * @param {string} content - 檔案內容
+ * @param {string} fileName
+ * @returns {string} PIP 代碼 (大寫)，無法判斷時為空字串
+ */
+export const detectPipCode = (parsedData, content, fileName) => {
+  const root = parsedData.find(item => item[1] === 0);
+  const candidates = [
+    root && new RegExp(`^Pip${PIP_CODE}`, 'i').exec(root[4]),
+    new RegExp(`\\bPIP\\s*${PIP_CODE}\\b`, 'i').exec(content || ''),
+    new RegExp(`(?:^|[^A-Z0-9])(?:PIP)?${PIP_CODE}(?=[^A-Z0-9]|$)`, 'i').exec(fileName || ''),
+  ];
+  const match = candidates.find(Boolean);
+  return match ? match[1].toUpperCase() : '';
+};
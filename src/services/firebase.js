@@ -1,33 +1,166 @@
 /**
  * Firebase Firestore Service
  * Handles communication with Firebase Firestore for file storage.
+ * Access is controlled by Firebase Auth and firestore.rules: every file records
+ * its owner and a visibility of 'private', 'team' (any signed-in user may edit)
+ * or 'readonly' (any signed-in user may read, only the owner may save).
+ *
+ * Content is gzip-compressed and split into chunk documents under the revision
+ * that saved it (files/{name}/revisions/{id}/chunks/{index}); the file document
+ * only points at its latest revision. Files saved before chunking keep their
+ * content inline in a `content` field and are read as is.
+ *
+ * Team notes on nodes live in files/{name}/annotations, one document per node
+ * key (see buildStableKeys), so they outlive the content they describe. Each note
+ * records its author's uid; only that author or a user who may save the file can
+ * change or remove it, and editing a note does not change its author.
  */
 
-import { db } from '../firebase';
-import { collection, doc, getDocs, getDoc, setDoc } from 'firebase/firestore';
+import { db, auth } from '../firebase';
+import { collection, doc, getDocs, getDoc, setDoc, deleteDoc, query, where, orderBy, onSnapshot, writeBatch, updateDoc, deleteField, Bytes } from 'firebase/firestore';
+import { onAuthStateChanged, signInWithPopup, signOut as firebaseSignOut, GoogleAuthProvider } from 'firebase/auth';
+import { compressText, decompressText, splitChunks, joinChunks, sha256Hex } from '../utils/compression';
 
 const FILES_COLLECTION = 'files';
+const REVISIONS_COLLECTION = 'revisions';
+const CHUNKS_COLLECTION = 'chunks';
+const ANNOTATIONS_COLLECTION = 'annotations';
+const DEFAULT_VISIBILITY = 'private';
+// Revision id that keeps the content of a file saved before revision history existed
+const INITIAL_REVISION_ID = 'initial';
+
+// Firestore documents are limited to 1 MiB; keep each chunk well below that
+const CHUNK_SIZE = 512 * 1024;
+// A write batch is limited to 10 MiB in total
+const MAX_COMPRESSED_SIZE = 8 * 1024 * 1024;
+
+const formatMiB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Compress content and split it into chunk documents
+ * @param {string} content
+ * @param {number} [reservedBytes] - room needed by other documents in the same batch
+ * @returns {Promise<{storage: object, chunks: Array<{index: number, data: Bytes, checksum: string}>}>}
+ */
+const encodeContent = async (content, reservedBytes = 0) => {
+    // size 與 checksum 皆以 UTF-8 位元組計算 (與壓縮的內容相同)，不是 UTF-16 字元數
+    const bytes = new TextEncoder().encode(content);
+    const compressed = await compressText(content);
+    const limit = MAX_COMPRESSED_SIZE - reservedBytes;
+    if (compressed.length > limit) {
+        throw new Error(`File too large: ${formatMiB(compressed.length)} after compression (limit ${formatMiB(limit)})`);
+    }
+
+    const parts = splitChunks(compressed, CHUNK_SIZE);
+    const chunks = await Promise.all(parts.map(async (bytes, index) => ({
+        index,
+        data: Bytes.fromUint8Array(bytes),
+        checksum: await sha256Hex(bytes)
+    })));
+
+    return {
+        storage: { encoding: 'gzip', size: bytes.length, chunkCount: chunks.length, checksum: await sha256Hex(bytes) },
+        chunks
+    };
+};
 
 /**
- * Fetch list of HTML files from Firestore
- * @returns {Promise<Array<{name: string, updated: string}>>}
+ * Read content stored inline (old format) or in the chunks of a revision
+ * @param {import('firebase/firestore').DocumentReference} revisionRef - revision holding the chunks
+ * @param {object} data - file or revision document with the storage fields
+ * @returns {Promise<string>}
+ */
+const readContent = async (revisionRef, data) => {
+    if (typeof data.content === 'string') return data.content;
+
+    const querySnapshot = await getDocs(collection(revisionRef, CHUNKS_COLLECTION));
+    const chunks = querySnapshot.docs.map(chunk => chunk.data()).sort((a, b) => a.index - b.index);
+    if (chunks.length !== data.chunkCount) {
+        throw new Error(`Incomplete content: expected ${data.chunkCount} chunks, found ${chunks.length}`);
+    }
+
+    const parts = await Promise.all(chunks.map(async chunk => {
+        const bytes = chunk.data.toUint8Array();
+        if (await sha256Hex(bytes) !== chunk.checksum) {
+            throw new Error(`Checksum mismatch in chunk ${chunk.index}`);
+        }
+        return bytes;
+    }));
+
+    const content = await decompressText(joinChunks(parts));
+    if (await sha256Hex(content) !== data.checksum) {
+        throw new Error("Checksum mismatch in content");
+    }
+    return content;
+};
+
+const toUser = (user) => (user ? { uid: user.uid, displayName: user.displayName || "", email: user.email || "" } : null);
+
+const toFileMeta = (name, data) => ({
+    name,
+    updated: data.updated || "",
+    author: data.author || "",
+    owner: data.owner || "",
+    ownerName: data.ownerName || "",
+    visibility: data.visibility || ""
+});
+
+/**
+ * Subscribe to sign-in state changes
+ * @param {function({uid: string, displayName: string, email: string}|null): void} callback
+ * @returns {function(): void} unsubscribe
+ */
+export const onAuthChange = (callback) => onAuthStateChanged(auth, user => callback(toUser(user)));
+
+/**
+ * Sign in with a Google account (the Auth emulator shows its own account picker)
+ * @returns {Promise<{uid: string, displayName: string, email: string}>}
+ */
+export const signIn = async () => {
+    const credential = await signInWithPopup(auth, new GoogleAuthProvider());
+    return toUser(credential.user);
+};
+
+/**
+ * Sign out the current user
+ * @returns {Promise<void>}
+ */
+export const signOut = () => firebaseSignOut(auth);
+
+/**
+ * Fetch list of files the signed-in user may read
+ * Security rules do not filter queries, so owned files and shared files are
+ * fetched with separate queries that the rules can prove allowed. Files saved
+ * before access control only appear once scripts/migrate-legacy-files.js has
+ * marked them as unclaimed team files.
+ * @returns {Promise<Array<{name: string, updated: string, author: string, owner: string, ownerName: string, visibility: string}>>}
  */
 export const getFiles = async () => {
     try {
+        await auth.authStateReady();
+        const user = auth.currentUser;
+        if (!user) {
+            console.log("Not signed in; no Firestore files available");
+            return [];
+        }
+
         console.log("Fetching files from Firestore...");
-        const querySnapshot = await getDocs(collection(db, FILES_COLLECTION));
+        const filesRef = collection(db, FILES_COLLECTION);
+        const snapshots = await Promise.all([
+            getDocs(query(filesRef, where('owner', '==', user.uid))),
+            getDocs(query(filesRef, where('visibility', 'in', ['team', 'readonly'])))
+        ]);
+
+        const files = new Map();
+        snapshots.forEach(querySnapshot => {
+            querySnapshot.docs.forEach(doc => files.set(doc.id, toFileMeta(doc.id, doc.data())));
+        });
 
-        if (querySnapshot.empty) {
+        if (files.size === 0) {
             console.log("No files found in Firestore");
-            return [];
         }
 
-        const files = querySnapshot.docs.map(doc => ({
-            name: doc.id,
-            updated: doc.data().updated || new Date().toISOString()
-        }));
-
-        return files;
+        return [...files.values()].sort((a, b) => a.name.localeCompare(b.name));
     } catch (error) {
         console.error("Error fetching files from Firestore:", error);
         throw error;
@@ -48,26 +181,105 @@ export const getFile = async (filename) => {
             throw new Error("File not found");
         }
 
-        return docSnap.data().content || "";
+        const data = docSnap.data();
+        return await readContent(doc(docRef, REVISIONS_COLLECTION, data.revision || "-"), data);
     } catch (error) {
         console.error("Error fetching file content from Firestore:", error);
         throw error;
     }
 };
 
+/**
+ * Get a file's content together with the metadata of the same saved version
+ * (the chunks of a revision never change, so one read of the file document is enough)
+ * @param {string} filename
+ * @returns {Promise<{content: string, meta: Object}>} meta as returned by getFileMeta
+ */
+export const getFileWithMeta = async (filename) => {
+    try {
+        const docRef = doc(db, FILES_COLLECTION, filename);
+        const docSnap = await getDoc(docRef);
+
+        if (!docSnap.exists()) {
+            throw new Error("File not found");
+        }
+
+        const data = docSnap.data();
+        const content = await readContent(doc(docRef, REVISIONS_COLLECTION, data.revision || "-"), data);
+        return { content, meta: toFileMeta(filename, data) };
+    } catch (error) {
+        console.error("Error fetching file from Firestore:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get the last-saved timestamp, author, owner and visibility of a file without parsing it
+ * @param {string} filename
+ * @returns {Promise<{name: string, updated: string, author: string, owner: string, ownerName: string, visibility: string}|null>} null when the file does not exist
+ */
+export const getFileMeta = async (filename) => {
+    try {
+        const docSnap = await getDoc(doc(db, FILES_COLLECTION, filename));
+        if (!docSnap.exists()) return null;
+
+        return toFileMeta(filename, docSnap.data());
+    } catch (error) {
+        console.error("Error fetching file metadata from Firestore:", error);
+        throw error;
+    }
+};
+
 /**
  * Save HTML content to Firestore
+ * Every save is a new revision under files/{filename}/revisions holding the
+ * compressed chunks; the file document is updated to point at it.
+ * New files are owned by the signed-in user. Files saved before access control
+ * existed have no owner; the first save claims them as team-shared. Files saved
+ * before revision history existed keep their old inline content as an initial
+ * revision, so the first save over them does not lose the previous version.
  * @param {string} filename 
  * @param {string} content 
+ * @param {{author?: string, comment?: string, visibility?: string}} [options] - visibility applies to new files
  * @returns {Promise<boolean>} success
  */
-export const saveFile = async (filename, content) => {
+export const saveFile = async (filename, content, { author = "", comment = "", visibility = DEFAULT_VISIBILITY } = {}) => {
     try {
+        const user = auth.currentUser;
+        if (!user) {
+            throw new Error("Sign in required");
+        }
+
         const docRef = doc(db, FILES_COLLECTION, filename);
-        await setDoc(docRef, {
-            content: content,
-            updated: new Date().toISOString()
-        });
+        const revisionRef = doc(collection(docRef, REVISIONS_COLLECTION));
+        const existing = await getDoc(docRef);
+        const previous = existing.exists() ? existing.data() : null;
+        // 版本歷史之前的舊檔：原本的內嵌內容 (最多 1 MiB) 與新內容的區塊在同一批次寫入，須一併計入批次上限
+        const legacyContent = previous && !previous.revision && typeof previous.content === 'string' ? previous.content : null;
+        const { storage, chunks } = await encodeContent(content, legacyContent === null ? 0 : new TextEncoder().encode(legacyContent).length);
+        const updated = new Date().toISOString();
+        // 舊格式的內嵌 content 一併移除
+        const fields = { updated, author, revision: revisionRef.id, ...storage, content: deleteField() };
+
+        if (!existing.exists()) {
+            Object.assign(fields, { owner: user.uid, ownerName: author, visibility });
+        } else if (!existing.data().owner) {
+            Object.assign(fields, { owner: user.uid, ownerName: author, visibility: 'team' });
+        }
+
+        const batch = writeBatch(db);
+        if (legacyContent !== null) {
+            batch.set(doc(docRef, REVISIONS_COLLECTION, INITIAL_REVISION_ID), {
+                updated: previous.updated || "",
+                author: previous.author || "",
+                comment: "版本歷史啟用前的內容",
+                content: legacyContent
+            });
+        }
+        batch.set(docRef, fields, { merge: true });
+        batch.set(revisionRef, { updated, author, comment, ...storage });
+        chunks.forEach(chunk => batch.set(doc(revisionRef, CHUNKS_COLLECTION, String(chunk.index)), chunk));
+        await batch.commit();
 
         console.log("File saved to Firestore:", filename);
         return true;
@@ -76,3 +288,125 @@ export const saveFile = async (filename, content) => {
         throw error;
     }
 };
+
+/**
+ * List saved revisions of a file, newest first
+ * @param {string} filename
+ * @returns {Promise<Array<{id: string, updated: string, author: string, comment: string}>>}
+ */
+export const getRevisions = async (filename) => {
+    try {
+        const revisionsRef = collection(db, FILES_COLLECTION, filename, REVISIONS_COLLECTION);
+        const querySnapshot = await getDocs(query(revisionsRef, orderBy('updated', 'desc')));
+
+        return querySnapshot.docs.map(revision => {
+            const data = revision.data();
+            return { id: revision.id, updated: data.updated, author: data.author || "", comment: data.comment || "" };
+        });
+    } catch (error) {
+        console.error("Error fetching revisions from Firestore:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get the content of one revision
+ * @param {string} filename
+ * @param {string} revisionId
+ * @returns {Promise<string>} HTML content
+ */
+export const getRevision = async (filename, revisionId) => {
+    try {
+        const revisionRef = doc(db, FILES_COLLECTION, filename, REVISIONS_COLLECTION, revisionId);
+        const docSnap = await getDoc(revisionRef);
+
+        if (!docSnap.exists()) {
+            throw new Error("Revision not found");
+        }
+
+        return await readContent(revisionRef, docSnap.data());
+    } catch (error) {
+        console.error("Error fetching revision from Firestore:", error);
+        throw error;
+    }
+};
+
+/**
+ * Change who can read and save a file (owner only, enforced by the security rules)
+ * @param {string} filename
+ * @param {'private'|'team'|'readonly'} visibility
+ * @returns {Promise<boolean>} success
+ */
+export const setFileVisibility = async (filename, visibility) => {
+    try {
+        await updateDoc(doc(db, FILES_COLLECTION, filename), { visibility });
+        return true;
+    } catch (error) {
+        console.error("Error updating file visibility in Firestore:", error);
+        throw error;
+    }
+};
+
+// Document ids cannot contain "/", so node keys are URI-encoded
+const annotationRef = (filename, key) => doc(db, FILES_COLLECTION, filename, ANNOTATIONS_COLLECTION, encodeURIComponent(key));
+
+/**
+ * Listen to the notes of a file; the callback runs again whenever a teammate changes one
+ * @param {string} filename
+ * @param {function(Array<{key: string, note: string, author: string, authorUid: string, updated: string}>): void} callback
+ * @returns {function(): void} unsubscribe
+ */
+export const onAnnotationsChange = (filename, callback) => onSnapshot(
+    collection(db, FILES_COLLECTION, filename, ANNOTATIONS_COLLECTION),
+    querySnapshot => callback(querySnapshot.docs.map(annotation => annotation.data())),
+    error => {
+        console.error("Error listening to annotations in Firestore:", error);
+        callback([]);
+    }
+);
+
+/**
+ * Create or replace the note on a node; editing an existing note keeps its author
+ * @param {string} filename
+ * @param {string} key - stable node key
+ * @param {string} note
+ * @param {string} [author] - recorded for new notes
+ * @returns {Promise<boolean>} success
+ */
+export const saveAnnotation = async (filename, key, note, author = "") => {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            throw new Error("Sign in required");
+        }
+
+        // 編輯他人的備註 (可儲存檔案的人) 時保留原作者，作者才能繼續修改自己的備註
+        const ref = annotationRef(filename, key);
+        const existing = await getDoc(ref);
+        const owner = existing.exists() && existing.data().authorUid
+            ? { author: existing.data().author || "", authorUid: existing.data().authorUid }
+            : { author, authorUid: user.uid };
+
+        await setDoc(ref, { key, note, ...owner, updated: new Date().toISOString() });
+        return true;
+    } catch (error) {
+        console.error("Error saving annotation to Firestore:", error);
+        throw error;
+    }
+};
+
+/**
+ * Remove the note on a node
+ * @param {string} filename
+ * @param {string} key - stable node key
+ * @returns {Promise<boolean>} success
+ */
+export const deleteAnnotation = async (filename, key) => {
+    try {
+        await deleteDoc(annotationRef(filename, key));
+        return true;
+    } catch (error) {
+        console.error("Error deleting annotation from Firestore:", error);
+        throw error;
+    }
+};
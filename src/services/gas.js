@@ -53,13 +53,25 @@ export const getFile = async (filename) => {
     }
 };
 
+/**
+ * Get the last-saved timestamp of a file (looked up in the file list; the GAS API has no metadata call)
+ * @param {string} filename
+ * @returns {Promise<{name: string, updated: string, author: string}|null>} null when the file does not exist
+ */
+export const getFileMeta = async (filename) => {
+    const files = await getFiles();
+    const file = files.find(f => f.name === filename);
+    return file ? { name: file.name, updated: file.updated || "", author: file.author || "" } : null;
+};
+
 /**
  * Save HTML content to Google Sheets
  * @param {string} filename 
  * @param {string} content 
+ * @param {{author?: string, comment?: string}} [options] - forwarded to the script; revisions are not kept
  * @returns {Promise<boolean>} success
  */
-export const saveFile = async (filename, content) => {
+export const saveFile = async (filename, content, { author = "", comment = "" } = {}) => {
     if (!GAS_URL) {
         console.error("VITE_GAS_WEB_APP_URL is missing.");
         return false;
@@ -76,7 +88,9 @@ export const saveFile = async (filename, content) => {
             body: JSON.stringify({
                 action: "save",
                 filename,
-                content
+                content,
+                author,
+                comment
             })
         });
 
@@ -0,0 +1,167 @@
+/**
+ * IndexedDB Service
+ * Stores files in the browser so the viewer works offline and without any server.
+ */
+
+const DB_NAME = 'rosettanet-viewer';
+const DB_VERSION = 2;
+const FILES_STORE = 'files';
+const REVISIONS_STORE = 'revisions';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(FILES_STORE)) {
+                    db.createObjectStore(FILES_STORE, { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+                    const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id', autoIncrement: true });
+                    revisions.createIndex('name', 'name');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Run a request against one store in its own transaction
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @param {string} [storeName]
+ * @returns {Promise<*>} request result
+ */
+const withStore = async (mode, operation, storeName = FILES_STORE) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Fetch list of files stored in this browser
+ * @returns {Promise<Array<{name: string, updated: string}>>}
+ */
+export const getFiles = async () => {
+    try {
+        const records = await withStore('readonly', store => store.getAll());
+        return records.map(record => ({ name: record.name, updated: record.updated }));
+    } catch (error) {
+        console.error("Error fetching files from IndexedDB:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get specific file content
+ * @param {string} filename
+ * @returns {Promise<string>} file content
+ */
+export const getFile = async (filename) => {
+    try {
+        const record = await withStore('readonly', store => store.get(filename));
+        if (!record) {
+            throw new Error("File not found");
+        }
+        return record.content || "";
+    } catch (error) {
+        console.error("Error fetching file content from IndexedDB:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get a file's content together with the timestamp and author of the same record
+ * @param {string} filename
+ * @returns {Promise<{content: string, meta: {name: string, updated: string, author: string}}>}
+ */
+export const getFileWithMeta = async (filename) => {
+    try {
+        const record = await withStore('readonly', store => store.get(filename));
+        if (!record) {
+            throw new Error("File not found");
+        }
+        return { content: record.content || "", meta: { name: record.name, updated: record.updated, author: record.author || "" } };
+    } catch (error) {
+        console.error("Error fetching file content from IndexedDB:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get the last-saved timestamp and author of a file
+ * @param {string} filename
+ * @returns {Promise<{name: string, updated: string, author: string}|null>} null when the file does not exist
+ */
+export const getFileMeta = async (filename) => {
+    const record = await withStore('readonly', store => store.get(filename));
+    return record ? { name: record.name, updated: record.updated, author: record.author || "" } : null;
+};
+
+/**
+ * Save file content in this browser, keeping every save as a revision
+ * @param {string} filename
+ * @param {string} content
+ * @param {{author?: string, comment?: string}} [options]
+ * @returns {Promise<boolean>} success
+ */
+export const saveFile = async (filename, content, { author = "", comment = "" } = {}) => {
+    try {
+        const db = await openDatabase();
+        const updated = new Date().toISOString();
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([FILES_STORE, REVISIONS_STORE], 'readwrite');
+            transaction.objectStore(FILES_STORE).put({ name: filename, content, updated, author });
+            transaction.objectStore(REVISIONS_STORE).add({ name: filename, content, updated, author, comment });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        console.log("File saved to IndexedDB:", filename);
+        return true;
+    } catch (error) {
+        console.error("Error saving file to IndexedDB:", error);
+        throw error;
+    }
+};
+
+/**
+ * List saved revisions of a file, newest first
+ * @param {string} filename
+ * @returns {Promise<Array<{id: number, updated: string, author: string, comment: string}>>}
+ */
+export const getRevisions = async (filename) => {
+    const records = await withStore('readonly', store => store.index('name').getAll(filename), REVISIONS_STORE);
+    return records
+        .map(({ id, updated, author, comment }) => ({ id, updated, author: author || "", comment: comment || "" }))
+        .sort((a, b) => b.updated.localeCompare(a.updated));
+};
+
+/**
+ * Get the content of one revision
+ * @param {string} filename
+ * @param {number} revisionId
+ * @returns {Promise<string>} file content
+ */
+export const getRevision = async (filename, revisionId) => {
+    const record = await withStore('readonly', store => store.get(revisionId), REVISIONS_STORE);
+    if (!record || record.name !== filename) {
+        throw new Error("Revision not found");
+    }
+    return record.content || "";
+};
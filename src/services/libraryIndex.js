@@ -0,0 +1,108 @@
+/**
+ * Library Search Index
+ * Parses every file of the active storage backend into search entries.
+ * Entries are cached in memory and in IndexedDB, keyed by backend and file
+ * name, and reused until the file's `updated` timestamp changes.
+ */
+
+import { getFiles, getFile, getActiveBackendId } from './storage';
+import { parseRosettaNetSpec, toSpecNodes } from '../parsers/specParser';
+import { toSearchEntries } from '../utils/librarySearch';
+
+const DB_NAME = 'rosettanet-viewer-cache';
+const DB_VERSION = 1;
+const INDEX_STORE = 'searchIndex';
+// Bump when the parser or entry format changes so cached entries are rebuilt
+const INDEX_VERSION = 1;
+
+const memoryCache = new Map();
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(INDEX_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+const withStore = async (mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(INDEX_STORE, mode);
+        const request = operation(transaction.objectStore(INDEX_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const isFresh = (record, file) => Boolean(record && file.updated && record.updated === file.updated && record.version === INDEX_VERSION);
+
+const readCached = async (key, file) => {
+    const inMemory = memoryCache.get(key);
+    if (isFresh(inMemory, file)) return inMemory;
+
+    try {
+        const stored = await withStore('readonly', store => store.get(key));
+        if (isFresh(stored, file)) {
+            memoryCache.set(key, stored);
+            return stored;
+        }
+    } catch (error) {
+        // IndexedDB unavailable (private mode); the memory cache still works
+        console.warn("Search index cache unavailable:", error);
+    }
+    return null;
+};
+
+const writeCached = async (record) => {
+    memoryCache.set(record.key, record);
+    try {
+        await withStore('readwrite', store => store.put(record));
+    } catch (error) {
+        console.warn("Failed to cache search index:", error);
+    }
+};
+
+/**
+ * Load search entries for every file in the active backend
+ * @param {{force?: boolean, onProgress?: function({done: number, total: number, file: string}): void}} [options] - force ignores the cache
+ * @returns {Promise<{indexes: Array<{file: string, updated: string, entries: Array<object>}>, errors: Array<{file: string, message: string}>}>}
+ */
+export const loadLibraryIndex = async ({ force = false, onProgress } = {}) => {
+    const backendId = getActiveBackendId();
+    const files = await getFiles();
+    const indexes = [];
+    const errors = [];
+
+    // 逐一處理，避免同時下載與解析整個檔案庫
+    for (const [i, file] of files.entries()) {
+        if (onProgress) onProgress({ done: i, total: files.length, file: file.name });
+        const key = `${backendId}:${file.name}`;
+        try {
+            let record = force ? null : await readCached(key, file);
+            if (!record) {
+                const content = await getFile(file.name);
+                const entries = toSearchEntries(toSpecNodes(parseRosettaNetSpec(content)));
+                record = { key, version: INDEX_VERSION, updated: file.updated || '', entries };
+                await writeCached(record);
+            }
+            indexes.push({ file: file.name, updated: record.updated, entries: record.entries });
+        } catch (error) {
+            errors.push({ file: file.name, message: error.message });
+        }
+    }
+
+    if (onProgress) onProgress({ done: files.length, total: files.length, file: '' });
+    return { indexes, errors };
+};
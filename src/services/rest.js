@@ -0,0 +1,117 @@
+/**
+ * Local REST Service
+ * Talks to the bundled server (server/index.js) or any backend with the same API:
+ *   GET  /api/files          -> { files: [{ name, updated }] }
+ *   GET  /api/files/:name    -> { name, content, updated }
+ *   PUT  /api/files/:name    <- { content, author, comment }
+ *   GET  /api/files/:name/revisions      -> { revisions: [{ id, updated, author, comment }] }
+ *   GET  /api/files/:name/revisions/:id  -> { id, content, updated, author, comment }
+ */
+
+// 未設定時使用同源 (由本機伺服器同時提供前端頁面)
+const API_URL = (import.meta.env.VITE_REST_API_URL || '').replace(/\/$/, '');
+
+const fileUrl = (filename) => `${API_URL}/api/files/${encodeURIComponent(filename)}`;
+
+const readJson = async (response) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    return data;
+};
+
+/**
+ * Fetch list of files from the REST server
+ * @returns {Promise<Array<{name: string, updated: string}>>}
+ */
+export const getFiles = async () => {
+    try {
+        const data = await readJson(await fetch(`${API_URL}/api/files`));
+        return data.files || [];
+    } catch (error) {
+        console.error("Error fetching files from REST server:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get specific file content
+ * @param {string} filename
+ * @returns {Promise<string>} file content
+ */
+export const getFile = async (filename) => {
+    try {
+        const data = await readJson(await fetch(fileUrl(filename)));
+        return data.content || "";
+    } catch (error) {
+        console.error("Error fetching file content from REST server:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get a file's content together with the timestamp and author of the same record
+ * @param {string} filename
+ * @returns {Promise<{content: string, meta: {name: string, updated: string, author: string}}>}
+ */
+export const getFileWithMeta = async (filename) => {
+    try {
+        const data = await readJson(await fetch(fileUrl(filename)));
+        return { content: data.content || "", meta: { name: filename, updated: data.updated, author: data.author || "" } };
+    } catch (error) {
+        console.error("Error fetching file content from REST server:", error);
+        throw error;
+    }
+};
+
+/**
+ * Get the last-saved timestamp and author of a file
+ * @param {string} filename
+ * @returns {Promise<{name: string, updated: string, author: string}|null>} null when the file does not exist
+ */
+export const getFileMeta = async (filename) => {
+    const files = await getFiles();
+    const file = files.find(f => f.name === filename);
+    return file ? { name: file.name, updated: file.updated, author: file.author || "" } : null;
+};
+
+/**
+ * Save file content to the REST server (the server keeps every save as a revision)
+ * @param {string} filename
+ * @param {string} content
+ * @param {{author?: string, comment?: string}} [options]
+ * @returns {Promise<boolean>} success
+ */
+export const saveFile = async (filename, content, { author = "", comment = "" } = {}) => {
+    try {
+        await readJson(await fetch(fileUrl(filename), {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ content, author, comment })
+        }));
+        return true;
+    } catch (error) {
+        console.error("Error saving file to REST server:", error);
+        throw error;
+    }
+};
+
+/**
+ * List saved revisions of a file, newest first
+ * @param {string} filename
+ * @returns {Promise<Array<{id: string, updated: string, author: string, comment: string}>>}
+ */
+export const getRevisions = async (filename) => {
+    const data = await readJson(await fetch(`${fileUrl(filename)}/revisions`));
+    return data.revisions || [];
+};
+
+/**
+ * Get the content of one revision
+ * @param {string} filename
+ * @param {string} revisionId
+ * @returns {Promise<string>} file content
+ */
+export const getRevision = async (filename, revisionId) => {
+    const data = await readJson(await fetch(`${fileUrl(filename)}/revisions/${encodeURIComponent(revisionId)}`));
+    return data.content || "";
+};
@@ -0,0 +1,202 @@
+/**
+ * Storage Backend Registry
+ * Every backend exports the same getFiles / getFile / saveFile API.
+ * Optional capabilities (revisions, sign-in) are detected from the backend's exports.
+ * The active backend comes from the settings menu (saved in localStorage),
+ * falling back to VITE_STORAGE_BACKEND and then Firestore.
+ * Backends are loaded on demand, so the Firebase SDK is only fetched when used.
+ */
+
+const STORAGE_KEY = 'rosettanet-viewer:storage-backend';
+const DEFAULT_BACKEND = 'firebase';
+
+export const BACKENDS = {
+    firebase: { label: 'Firestore', load: () => import('./firebase') },
+    gas: { label: 'Google Apps Script', load: () => import('./gas') },
+    indexeddb: { label: 'Browser (offline)', load: () => import('./indexedDb') },
+    rest: { label: 'Local server (REST)', load: () => import('./rest') },
+};
+
+/**
+ * @returns {string} id of the active backend
+ */
+export const getActiveBackendId = () => {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    } catch {
+        // localStorage unavailable (private mode); fall back to configuration
+    }
+    const configured = import.meta.env.VITE_STORAGE_BACKEND;
+    return [stored, configured].find(id => id && BACKENDS[id]) || DEFAULT_BACKEND;
+};
+
+/**
+ * Select the backend used by subsequent calls
+ * @param {string} id - key of BACKENDS
+ */
+export const setActiveBackend = (id) => {
+    if (!BACKENDS[id]) throw new Error(`Unknown storage backend: ${id}`);
+    localStorage.setItem(STORAGE_KEY, id);
+};
+
+const activeService = () => BACKENDS[getActiveBackendId()].load();
+
+/**
+ * Fetch list of files from the active backend
+ * @returns {Promise<Array<{name: string, updated: string}>>}
+ */
+export const getFiles = async () => (await activeService()).getFiles();
+
+/**
+ * Get specific file content from the active backend
+ * @param {string} filename
+ * @returns {Promise<string>} file content
+ */
+export const getFile = async (filename) => (await activeService()).getFile(filename);
+
+/**
+ * Get the last-saved timestamp and author of a file
+ * Backends with sign-in also report owner, ownerName and visibility.
+ * @param {string} filename
+ * @returns {Promise<{name: string, updated: string, author: string, owner?: string, ownerName?: string, visibility?: string}|null>} null when the file does not exist
+ */
+export const getFileMeta = async (filename) => (await activeService()).getFileMeta(filename);
+
+/**
+ * Get a file's content and the metadata of the version that was read, so a later
+ * save can tell whether someone else saved in between. Backends that cannot read
+ * both at once read the metadata first: a save in between then shows up as a
+ * conflict instead of going unnoticed.
+ * @param {string} filename
+ * @returns {Promise<{content: string, meta: Object|null}>} meta as returned by getFileMeta
+ */
+export const getFileWithMeta = async (filename) => {
+    const service = await activeService();
+    if (typeof service.getFileWithMeta === 'function') return service.getFileWithMeta(filename);
+
+    const meta = await service.getFileMeta(filename);
+    const content = await service.getFile(filename);
+    return { content, meta };
+};
+
+/**
+ * Save file content to the active backend
+ * @param {string} filename
+ * @param {string} content
+ * @param {{author?: string, comment?: string, visibility?: string}} [options]
+ * @returns {Promise<boolean>} success
+ */
+export const saveFile = async (filename, content, options) => (await activeService()).saveFile(filename, content, options);
+
+/**
+ * Whether the active backend keeps revision history
+ * @returns {Promise<boolean>}
+ */
+export const supportsRevisions = async () => typeof (await activeService()).getRevisions === 'function';
+
+/**
+ * List saved revisions of a file, newest first
+ * @param {string} filename
+ * @returns {Promise<Array<{id: string|number, updated: string, author: string, comment: string}>>}
+ */
+export const getRevisions = async (filename) => (await activeService()).getRevisions(filename);
+
+/**
+ * Get the content of one revision
+ * @param {string} filename
+ * @param {string|number} revisionId
+ * @returns {Promise<string>} file content
+ */
+export const getRevision = async (filename, revisionId) => (await activeService()).getRevision(filename, revisionId);
+
+/**
+ * Start a listener on the active backend once it has loaded
+ * @param {function(Object): (function(): void)|null} connect - returns the backend's unsubscribe, or null when unsupported
+ * @param {function(): void} onUnsupported - called when connect returns null or the backend fails to load
+ * @returns {function(): void} unsubscribe (safe to call before the backend has loaded)
+ */
+const subscribe = (connect, onUnsupported) => {
+    let unsubscribe = null;
+    let cancelled = false;
+
+    activeService().then(service => {
+        if (cancelled) return;
+        unsubscribe = connect(service);
+        if (!unsubscribe) onUnsupported();
+    }).catch(error => {
+        console.error("Failed to load storage backend:", error);
+        if (!cancelled) onUnsupported();
+    });
+
+    return () => {
+        cancelled = true;
+        if (unsubscribe) unsubscribe();
+    };
+};
+
+/**
+ * Subscribe to the sign-in state of the active backend
+ * Backends without authentication report `{ enabled: false, user: null }` once.
+ * @param {function({enabled: boolean, user: {uid: string, displayName: string, email: string}|null}): void} callback
+ * @returns {function(): void} unsubscribe
+ */
+export const subscribeAuth = (callback) => subscribe(
+    service => (typeof service.onAuthChange === 'function' ? service.onAuthChange(user => callback({ enabled: true, user })) : null),
+    () => callback({ enabled: false, user: null })
+);
+
+/**
+ * Whether the active backend stores team notes on nodes
+ * @returns {Promise<boolean>}
+ */
+export const supportsAnnotations = async () => typeof (await activeService()).onAnnotationsChange === 'function';
+
+/**
+ * Subscribe to the notes of a file; backends without notes report an empty list once
+ * @param {string} filename
+ * @param {function(Array<{key: string, note: string, author: string, updated: string}>): void} callback
+ * @returns {function(): void} unsubscribe
+ */
+export const subscribeAnnotations = (filename, callback) => subscribe(
+    service => (typeof service.onAnnotationsChange === 'function' ? service.onAnnotationsChange(filename, callback) : null),
+    () => callback([])
+);
+
+/**
+ * Create or replace the note on a node
+ * @param {string} filename
+ * @param {string} key - stable node key
+ * @param {string} note
+ * @param {string} [author]
+ * @returns {Promise<boolean>} success
+ */
+export const saveAnnotation = async (filename, key, note, author) => (await activeService()).saveAnnotation(filename, key, note, author);
+
+/**
+ * Remove the note on a node
+ * @param {string} filename
+ * @param {string} key - stable node key
+ * @returns {Promise<boolean>} success
+ */
+export const deleteAnnotation = async (filename, key) => (await activeService()).deleteAnnotation(filename, key);
+
+/**
+ * Sign in to the active backend
+ * @returns {Promise<{uid: string, displayName: string, email: string}>}
+ */
+export const signIn = async () => (await activeService()).signIn();
+
+/**
+ * Sign out of the active backend
+ * @returns {Promise<void>}
+ */
+export const signOut = async () => (await activeService()).signOut();
+
+/**
+ * Change who can read and save a file
+ * @param {string} filename
+ * @param {'private'|'team'|'readonly'} visibility
+ * @returns {Promise<boolean>} success
+ */
+export const setFileVisibility = async (filename, visibility) => (await activeService()).setFileVisibility(filename, visibility);
@@ -0,0 +1,47 @@
+/**
+ * RosettaNet Cardinality Helpers
+ * Interprets the cardinality column of a spec table (1, 0..1, 0..n, 1..n).
+ */
+
+/**
+ * Parse a cardinality string into occurrence bounds
+ * @param {string} cardinality - e.g. "1", "0..1", "0..n", "1..n"
+ * @returns {{min: number, max: number}|null} max is Infinity for "n" / "*", null when unknown
+ */
+export const parseCardinality = (cardinality) => {
+    const match = /^\s*(\d+)(?:\s*\.\.\s*(\d+|n|\*))?\s*$/i.exec(cardinality || "");
+    if (!match) return null;
+
+    const min = parseInt(match[1], 10);
+    if (match[2] === undefined) return { min, max: min };
+
+    const max = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : Infinity;
+    return { min, max };
+};
+
+/**
+ * @param {string} cardinality
+ * @returns {boolean} true when at least one occurrence is required
+ */
+export const isMandatory = (cardinality) => {
+    const bounds = parseCardinality(cardinality);
+    return bounds ? bounds.min >= 1 : false;
+};
+
+/**
+ * @param {string} cardinality
+ * @returns {boolean} true when the element may be omitted
+ */
+export const isOptional = (cardinality) => {
+    const bounds = parseCardinality(cardinality);
+    return bounds ? bounds.min === 0 : false;
+};
+
+/**
+ * @param {string} cardinality
+ * @returns {boolean} true when the element may occur more than once
+ */
+export const isRepeating = (cardinality) => {
+    const bounds = parseCardinality(cardinality);
+    return bounds ? bounds.max > 1 : false;
+};
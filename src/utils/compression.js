@@ -0,0 +1,64 @@
+/**
+ * Compressed Content Helpers
+ * Gzip text with the built-in CompressionStream, split the bytes into chunks
+ * small enough for a single storage document, and verify them with SHA-256.
+ */
+
+const streamBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Gzip a string (UTF-8)
+ * @param {string} text
+ * @returns {Promise<Uint8Array>}
+ */
+export const compressText = (text) => streamBytes(new TextEncoder().encode(text), new CompressionStream('gzip'));
+
+/**
+ * Gunzip bytes back to a string
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export const decompressText = async (bytes) => new TextDecoder().decode(await streamBytes(bytes, new DecompressionStream('gzip')));
+
+/**
+ * Split bytes into consecutive chunks
+ * @param {Uint8Array} bytes
+ * @param {number} chunkSize - maximum bytes per chunk
+ * @returns {Array<Uint8Array>} at least one chunk (empty input gives one empty chunk)
+ */
+export const splitChunks = (bytes, chunkSize) => {
+    const chunks = [];
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        chunks.push(bytes.subarray(offset, offset + chunkSize));
+    }
+    return chunks.length > 0 ? chunks : [new Uint8Array(0)];
+};
+
+/**
+ * Concatenate chunks in order
+ * @param {Array<Uint8Array>} chunks
+ * @returns {Uint8Array}
+ */
+export const joinChunks = (chunks) => {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+};
+
+/**
+ * SHA-256 digest as lowercase hex
+ * @param {Uint8Array|string} input - strings are hashed as UTF-8
+ * @returns {Promise<string>}
+ */
+export const sha256Hex = async (input) => {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
@@ -0,0 +1,20 @@
+/**
+ * CSV Helpers
+ */
+
+const escapeCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV text
+ * @param {Array<string>} header
+ * @param {Array<Array<*>>} rows
+ * @param {{bom?: boolean}} [options] - bom: prefix a UTF-8 BOM so Excel detects the encoding
+ * @returns {string}
+ */
+export const toCsv = (header, rows, { bom = true } = {}) => {
+    const lines = [header, ...rows].map(row => row.map(escapeCell).join(','));
+    return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+};
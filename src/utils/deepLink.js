@@ -0,0 +1,43 @@
+/**
+ * Deep Link Helpers
+ * Encodes the viewer location (cloud file, search term or path, highlighted node)
+ * in the URL hash: #file=3A4.htm&q=/Pip3A4/PurchaseOrder&node=42
+ */
+
+/**
+ * @typedef {Object} DeepLink
+ * @property {string} file - cloud file name
+ * @property {string} q - search term or path
+ * @property {number|null} node - highlighted node id
+ */
+
+/**
+ * Parse a URL hash into a deep link
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {DeepLink|null} null when the hash carries no viewer state
+ */
+export const parseDeepLink = (hash) => {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const file = params.get('file') || '';
+    const q = params.get('q') || '';
+    const nodeParam = parseInt(params.get('node'), 10);
+    const node = isNaN(nodeParam) ? null : nodeParam;
+
+    if (!file && !q && node === null) return null;
+    return { file, q, node };
+};
+
+/**
+ * Build the URL hash for a viewer location
+ * @param {Partial<DeepLink>} link
+ * @returns {string} "#..." or "" when there is nothing to encode
+ */
+export const buildDeepLink = ({ file, q, node }) => {
+    const params = new URLSearchParams();
+    if (file) params.set('file', file);
+    if (q) params.set('q', q);
+    if (node !== null && node !== undefined) params.set('node', String(node));
+
+    const query = params.toString();
+    return query ? `#${query}` : '';
+};
@@ -0,0 +1,41 @@
+/**
+ * Browser Download Helpers
+ */
+
+const downloadBlob = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Trigger a browser download of generated text content
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} [mimeType]
+ */
+export const downloadTextFile = (filename, content, mimeType = 'text/plain') => {
+    downloadBlob(filename, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+};
+
+/**
+ * Trigger a browser download of generated binary content (e.g. an .xlsx workbook)
+ * @param {string} filename
+ * @param {Uint8Array} data
+ * @param {string} mimeType
+ */
+export const downloadBinaryFile = (filename, data, mimeType) => {
+    downloadBlob(filename, new Blob([data], { type: mimeType }));
+};
+
+/**
+ * Strip the extension from a file name ("3A4.htm" -> "3A4")
+ * @param {string} filename
+ * @returns {string}
+ */
+export const getBaseName = (filename) => (filename || 'spec').replace(/\.[^.]+$/, '');
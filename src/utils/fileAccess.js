@@ -0,0 +1,44 @@
+/**
+ * Cloud File Access Helpers
+ * Mirrors firestore.rules so the UI can hide actions the rules would reject.
+ */
+
+export const VISIBILITY_LABELS = {
+    private: '私人',
+    team: '團隊共用',
+    readonly: '唯讀',
+};
+
+/**
+ * Whether the signed-in user may save over a file
+ * @param {{owner?: string, visibility?: string}|null} meta - null for a file that does not exist yet
+ * @param {{enabled: boolean, user: {uid: string}|null}} authState
+ * @returns {boolean}
+ */
+export const canWriteFile = (meta, authState) => {
+    if (!authState.enabled) return true;
+    if (!authState.user) return false;
+    // 新檔案，或存取控制前建立、尚無擁有者的檔案 (儲存時會認領)
+    if (!meta || !meta.owner) return true;
+    return meta.owner === authState.user.uid || meta.visibility === 'team';
+};
+
+/**
+ * Whether the signed-in user owns a file (and so may change its visibility)
+ * @param {{owner?: string}|null} meta
+ * @param {{enabled: boolean, user: {uid: string}|null}} authState
+ * @returns {boolean}
+ */
+export const isFileOwner = (meta, authState) =>
+    Boolean(authState.enabled && authState.user && meta && meta.owner === authState.user.uid);
+
+/**
+ * Whether the signed-in user may edit or remove a note on a file: its author or
+ * anyone who may save the file
+ * @param {{authorUid?: string}} annotation
+ * @param {{owner?: string, visibility?: string}|null} meta - the file the note belongs to
+ * @param {{enabled: boolean, user: {uid: string}|null}} authState
+ * @returns {boolean}
+ */
+export const canEditAnnotation = (annotation, meta, authState) =>
+    canWriteFile(meta, authState) || Boolean(authState.user && annotation.authorUid === authState.user.uid);
@@ -0,0 +1,59 @@
+/**
+ * Dropped / Selected File Helpers
+ * Flattens dropped folders (FileSystemEntry API) and folder inputs
+ * (webkitdirectory) into a list of files with their relative paths.
+ */
+
+const readAllEntries = async (reader) => {
+    // readEntries 每次最多回傳約 100 筆，需重複呼叫直到回傳空陣列
+    const entries = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) return entries;
+        entries.push(...batch);
+    }
+};
+
+const walkEntry = async (entry, parentPath, result) => {
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        result.push({ file, path });
+    } else if (entry.isDirectory) {
+        const children = await readAllEntries(entry.createReader());
+        for (const child of children) {
+            await walkEntry(child, path, result);
+        }
+    }
+};
+
+/**
+ * Collect every file from a drop, descending into dropped folders
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+    const items = Array.from(dataTransfer.items || []);
+    // 取得 entry 必須在事件處理的同步階段完成，之後 DataTransfer 會失效
+    const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+    }
+
+    const result = [];
+    for (const entry of entries) {
+        await walkEntry(entry, '', result);
+    }
+    return result;
+};
+
+/**
+ * Files from an <input type="file"> (folder inputs report webkitRelativePath)
+ * @param {FileList} fileList
+ * @returns {Array<{file: File, path: string}>}
+ */
+export const collectInputFiles = (fileList) => Array.from(fileList).map(file => ({
+    file,
+    path: file.webkitRelativePath || file.name,
+}));
@@ -0,0 +1,58 @@
+/**
+ * Library-wide Search Helpers
+ * Reduces a parsed spec to a small serializable entry list (cached per file)
+ * and searches the entries of many files at once.
+ */
+
+import { buildNodePaths } from './specTree';
+
+/**
+ * Build the search entries of one spec
+ * @param {Array<{id: number, parentId: number, name: string, description: string, cardinality: string}>} data
+ * @returns {Array<{id: number, name: string, path: string, description: string, cardinality: string}>}
+ */
+export const toSearchEntries = (data) => {
+    const paths = buildNodePaths(data);
+    return data.map(node => ({
+        id: node.id,
+        name: node.name,
+        path: paths.get(node.id),
+        description: node.description || '',
+        cardinality: node.cardinality || '',
+    }));
+};
+
+/**
+ * Search entries across files
+ * Names are matched case-insensitively; a term containing "/" is matched
+ * against the full path instead. Exact name matches are listed first.
+ * @param {Array<{file: string, entries: Array<object>}>} fileIndexes
+ * @param {string} term
+ * @param {{includeDefinitions?: boolean, limit?: number}} [options]
+ * @returns {{results: Array<{file: string, id: number, name: string, path: string, description: string, cardinality: string}>, total: number, fileCount: number}}
+ */
+export const searchLibrary = (fileIndexes, term, { includeDefinitions = false, limit = 500 } = {}) => {
+    const lowerTerm = (term || '').trim().toLowerCase();
+    if (!lowerTerm) return { results: [], total: 0, fileCount: 0 };
+
+    const byPath = lowerTerm.includes('/');
+    const exact = [];
+    const partial = [];
+    const files = new Set();
+
+    fileIndexes.forEach(({ file, entries }) => {
+        entries.forEach(entry => {
+            const name = entry.name.toLowerCase();
+            const matched = byPath
+                ? entry.path.toLowerCase().includes(lowerTerm)
+                : name.includes(lowerTerm) || (includeDefinitions && entry.description.toLowerCase().includes(lowerTerm));
+            if (!matched) return;
+
+            files.add(file);
+            (name === lowerTerm ? exact : partial).push({ file, ...entry });
+        });
+    });
+
+    const all = [...exact, ...partial];
+    return { results: all.slice(0, limit), total: all.length, fileCount: files.size };
+};
@@ -0,0 +1,231 @@
+/**
+ * Path Search
+ * Resolves a search box path such as "/Pip3A4/ServiceHeader/ProcessControl" against the tree.
+ *   *            any child (also inside names: "*Code", "shipTo.*")
+ *   a//b         b anywhere below a ("//ProcessControl" searches the whole tree)
+ *   a/b          compound names ("telephoneNumber.CommunicationsNumber") may be written as two segments
+ *   a[2]         the 2nd sibling named a (as in copied paths and XPaths)
+ * Choice and Sequence levels may be left out; every matching node is returned, and a failed path
+ * reports the deepest nodes reached, the segment that failed and similar names.
+ */
+
+import { isGroupNode, getElementNames, getSiblingName, getChildrenThroughChoice } from './specTree';
+
+// 失敗時最多提供的建議名稱數
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Split a path into steps, removing the PIP prefix like the path search always has.
+ * A trailing [n] (n >= 1) becomes the step's position; [0] and [] are ignored.
+ * An empty segment ("//") makes the next step a descendant step.
+ * @param {Object} index - from buildSpecIndex
+ * @param {string} input
+ * @returns {{path: string, steps: Array<{name: string, position: number|null, descendant: boolean, start: number}>}}
+ *   start: offset in path of the slashes before the step
+ */
+export const parseSearchPath = (index, input) => {
+    let path = input.trim();
+
+    // 1. 移除前綴與雜訊 (第一段正好是根節點名稱時保留，例如複製出來的完整路徑)
+    const firstSegment = path.replace(/^\//, '').split('/')[0].replace(/\[\d*\]/g, '');
+    if (!index.getChildren(0).some(root => root.name.toLowerCase() === firstSegment.toLowerCase())) {
+        path = path.replace(/^\/?Pip[^/]+\//, ''); // 移除 /PipXXXX/
+    }
+
+    // 2. 清理結尾斜線；開頭的 // 與中間的 // 表示「任意層級之下」
+    path = path.replace(/\/+$/, '');
+
+    const steps = Array.from(path.matchAll(/(\/*)([^/]+)/g), match => {
+        const position = Number((/\[(\d+)\]\s*$/.exec(match[2]) || [])[1]) || null;
+        return {
+            name: match[2].replace(/\[\d*\]/g, '').trim(),
+            position,
+            descendant: match[1].length > 1,
+            start: match.index,
+        };
+    });
+    return { path, steps };
+};
+
+const globToRegex = (pattern) => new RegExp(
+    `^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`,
+    'i'
+);
+
+/**
+ * How well a node name matches a path segment
+ * @returns {'exact'|'loose'|null} loose: the name merely contains the segment (legacy behaviour)
+ */
+const matchName = (node, segment) => {
+    if (segment.includes('*')) {
+        const regex = globToRegex(segment);
+        return regex.test(node.name) || getElementNames(node).some(name => regex.test(name)) ? 'exact' : null;
+    }
+    const lower = segment.toLowerCase();
+    // Choice / Sequence 群組可寫成 Choice 或 (Choice)
+    const groupName = isGroupNode(node) ? getSiblingName(node).toLowerCase() : null;
+    if (node.name.toLowerCase() === lower || (groupName && (lower === groupName || lower === `(${groupName})`))) return 'exact';
+    return node.name.includes(segment) ? 'loose' : null;
+};
+
+/**
+ * Match one step against a list of candidates. Compound names consume two steps.
+ * Exact matches win over loose ones; all matches of the winning kind are returned.
+ * @returns {Array<{node: Object, consumed: number}>}
+ */
+const matchCandidates = (candidates, step, nextStep) => {
+    const exact = [];
+    const loose = [];
+    candidates.forEach(node => {
+        if (nextStep && !nextStep.descendant && !step.name.includes('*') && !nextStep.name.includes('*')
+            && node.name.toLowerCase() === `${step.name}.${nextStep.name}`.toLowerCase()) {
+            exact.push({ node, consumed: 2 });
+            return;
+        }
+        const kind = matchName(node, step.name);
+        if (kind === 'exact') exact.push({ node, consumed: 1 });
+        else if (kind === 'loose') loose.push({ node, consumed: 1 });
+    });
+    return exact.length > 0 ? exact : loose;
+};
+
+// 子節點，Choice / Sequence 層級可省略：直接子節點找不到時，往 (巢狀) 群組底下找
+const matchChildren = (index, parentId, step, nextStep) => {
+    const children = index.getChildren(parentId);
+    const direct = matchCandidates(children, step, nextStep);
+    if (direct.length > 0) return direct;
+    return children
+        .filter(isGroupNode)
+        .flatMap(group => matchChildren(index, group.id, step, nextStep));
+};
+
+/**
+ * Keep the candidates at the position a step asks for ("a[2]"): the nth candidate sharing
+ * a name, counted like buildCanonicalPath and buildXPath. Descendant steps count per parent.
+ * A compound match may carry the position on either of its two segments.
+ */
+const filterByPosition = (candidates, step, nextStep) => {
+    const counts = new Map();
+    return candidates.filter(({ node, consumed }) => {
+        const group = `${step.descendant ? node.parentId : ''}:${getSiblingName(node).toLowerCase()}`;
+        const count = (counts.get(group) || 0) + 1;
+        counts.set(group, count);
+        const position = consumed === 2 ? step.position || nextStep.position : step.position;
+        return !position || count === position;
+    });
+};
+
+const collectDescendants = (index, parentId, result = []) => {
+    index.getChildren(parentId).forEach(child => {
+        result.push(child);
+        collectDescendants(index, child.id, result);
+    });
+    return result;
+};
+
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Names close to a failed segment among the nodes that could have matched it
+ * (case-insensitive containment or a small edit distance), closest first
+ * @returns {Array<Object>} nodes, at most one per name
+ */
+const suggestNodes = (candidates, segment) => {
+    const lower = segment.toLowerCase().replace(/\*/g, '');
+    const scored = new Map();
+    candidates.forEach(node => {
+        if (isGroupNode(node)) return;
+        [node.name, ...getElementNames(node)].forEach(name => {
+            const lowerName = name.toLowerCase();
+            const distance = lowerName.includes(lower) || lower.includes(lowerName)
+                ? Math.abs(lowerName.length - lower.length) / 100
+                : editDistance(lowerName, lower);
+            if (distance > Math.max(2, Math.floor(lower.length / 3))) return;
+            const best = scored.get(node.name);
+            if (!best || distance < best.distance) scored.set(node.name, { node, distance });
+        });
+    });
+    return Array.from(scored.values())
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(entry => entry.node);
+};
+
+/**
+ * Resolve a search path against the tree
+ * @param {Object} index - from buildSpecIndex
+ * @param {string} input - text from the search box
+ * @returns {{
+ *   matches: Array<number>,
+ *   failure: null | {
+ *     step: number, segment: string, rest: string,
+ *     reachedIds: Array<number>, suggestions: Array<Object>
+ *   }
+ * }} matches in document order; on failure, reachedIds are the deepest nodes reached
+ *   (empty when the first segment failed) and rest is the path text after the failed segment
+ */
+export const resolveSearchPath = (index, input) => {
+    const { path, steps } = parseSearchPath(index, input);
+    const matches = new Set();
+    // 比對失敗的最深位置與停在該處的節點
+    let deepest = { position: -1, ids: [] };
+
+    // 每個狀態：目前節點與下一個要比對的 step
+    let frontier = [{ id: 0, position: 0 }];
+    while (frontier.length > 0) {
+        const next = new Map();
+        frontier.forEach(({ id, position }) => {
+            if (position >= steps.length) {
+                matches.add(id);
+                return;
+            }
+            const step = steps[position];
+            const candidates = filterByPosition(step.descendant
+                ? matchCandidates(collectDescendants(index, id), step, steps[position + 1])
+                : matchChildren(index, id, step, steps[position + 1]), step, steps[position + 1]);
+            if (candidates.length === 0) {
+                if (position > deepest.position) deepest = { position, ids: [] };
+                if (position === deepest.position) deepest.ids.push(id);
+            }
+            candidates.forEach(({ node, consumed }) => {
+                next.set(`${node.id}:${position + consumed}`, { id: node.id, position: position + consumed });
+            });
+        });
+        frontier = Array.from(next.values());
+    }
+
+    const order = new Map(Array.from(index.byId.keys(), (id, i) => [id, i]));
+    const byDocumentOrder = (a, b) => order.get(a) - order.get(b);
+
+    let failure = null;
+    if (matches.size === 0 && deepest.position >= 0) {
+        const step = steps[deepest.position];
+        const pool = deepest.ids.flatMap(id => (step.descendant ? collectDescendants(index, id) : getChildrenThroughChoice(index, id)));
+        failure = {
+            step: deepest.position,
+            segment: step.name,
+            rest: steps[deepest.position + 1] ? path.slice(steps[deepest.position + 1].start) : '',
+            reachedIds: deepest.ids.filter(id => id !== 0).sort(byDocumentOrder),
+            suggestions: suggestNodes(pool, step.name),
+        };
+    }
+
+    return {
+        matches: Array.from(matches).filter(id => id !== 0).sort(byDocumentOrder),
+        failure,
+    };
+};
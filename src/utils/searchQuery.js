@@ -0,0 +1,286 @@
+/**
+ * Search Query Language
+ * Parses the tree search box syntax into a matcher over spec nodes:
+ *   bare words        name or field # contains the word (case-insensitive)
+ *   "quoted words"    phrase with spaces
+ *   /regex/i          regular expression on the name (or on a field: def:/^date/i); a bare
+ *                     /Name/ without flags or regex characters is a path, not a regex
+ *   name: def: field: level: card: under: code:   field filters
+ *   AND / OR / NOT, -term, ( )                     boolean logic (adjacent terms are ANDed)
+ * e.g. `def:date level:>3`, `card:1..n under:ServiceHeader`, `(name:/Code$/ OR code:US) NOT Choice`
+ */
+
+import { parseCardinality, isMandatory, isOptional, isRepeating } from './cardinality';
+import { splitNodeName } from './specTree';
+
+export const QUERY_FIELDS = ['name', 'def', 'field', 'level', 'card', 'under', 'code'];
+
+// 基數別名 (card:mandatory)
+const CARDINALITY_ALIASES = {
+    mandatory: isMandatory,
+    required: isMandatory,
+    optional: isOptional,
+    repeating: isRepeating,
+};
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// --- Tokenizer ---
+
+const readQuoted = (input, start) => {
+    let value = '';
+    let i = start + 1;
+    while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && i + 1 < input.length) i++;
+        value += input[i];
+        i++;
+    }
+    if (i >= input.length) throw new Error('引號沒有結束 (缺少 ")');
+    return { value, end: i + 1 };
+};
+
+const readRegex = (input, start) => {
+    let i = start + 1;
+    while (i < input.length && input[i] !== '/') {
+        if (input[i] === '\\') i++;
+        i++;
+    }
+    if (i >= input.length) throw new Error('正規表示式沒有結束 (缺少結尾的 /)');
+    const source = input.slice(start + 1, i);
+    const flags = /^[a-z]*/.exec(input.slice(i + 1))[0];
+    let regex;
+    try {
+        // 預設不分大小寫，與一般關鍵字一致；同一個 RegExp 會對每個節點 test()，
+        // 去掉 g / y 以免 lastIndex 殘留到下一個節點
+        const matchFlags = flags.replace(/[gy]/g, '');
+        regex = new RegExp(source, matchFlags.includes('i') ? matchFlags : `${matchFlags}i`);
+    } catch (err) {
+        throw new Error(`正規表示式錯誤: ${err.message}`);
+    }
+    return { regex, end: i + 1 + flags.length };
+};
+
+const readWord = (input, start) => {
+    let i = start;
+    while (i < input.length && !/[\s()]/.test(input[i])) i++;
+    return { value: input.slice(start, i), end: i };
+};
+
+// 讀取一個值：引號字串、/regex/ 或一般文字
+const readValue = (input, start) => {
+    if (input[start] === '"') {
+        const { value, end } = readQuoted(input, start);
+        return { value: { text: value }, end };
+    }
+    if (input[start] === '/') {
+        const { regex, end } = readRegex(input, start);
+        return { value: { regex }, end };
+    }
+    const { value, end } = readWord(input, start);
+    return { value: { text: value }, end };
+};
+
+const tokenize = (input) => {
+    const tokens = [];
+    let i = 0;
+    while (i < input.length) {
+        const char = input[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ kind: char });
+            i++;
+        } else if (char === '-' && i + 1 < input.length && !/[\s()]/.test(input[i + 1])) {
+            tokens.push({ kind: 'NOT' });
+            i++;
+        } else {
+            const fieldMatch = /^([a-z]+):/i.exec(input.slice(i));
+            if (fieldMatch) {
+                const field = fieldMatch[1].toLowerCase();
+                if (!QUERY_FIELDS.includes(field)) {
+                    throw new Error(`未知的欄位「${fieldMatch[1]}:」，可用 ${QUERY_FIELDS.map(f => `${f}:`).join(' ')}`);
+                }
+                const { value, end } = readValue(input, i + fieldMatch[0].length);
+                if (value.text === '') throw new Error(`「${field}:」後面需要搜尋值`);
+                tokens.push({ kind: 'term', field, ...value });
+                i = end;
+            } else {
+                const { value, end } = readValue(input, i);
+                if (value.text !== undefined && OPERATORS.has(value.text) && input[i] !== '"') {
+                    tokens.push({ kind: value.text });
+                } else {
+                    tokens.push({ kind: 'term', field: null, ...value });
+                }
+                i = end;
+            }
+        }
+    }
+    return tokens;
+};
+
+// --- Parser (OR < AND < NOT) ---
+
+const parseTokens = (tokens) => {
+    let pos = 0;
+    const peek = () => tokens[pos];
+
+    const parseOr = () => {
+        const items = [parseAnd()];
+        while (peek() && peek().kind === 'OR') {
+            pos++;
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { op: 'or', items };
+    };
+
+    const parseAnd = () => {
+        const items = [parseNot()];
+        while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+            if (peek().kind === 'AND') pos++;
+            items.push(parseNot());
+        }
+        return items.length === 1 ? items[0] : { op: 'and', items };
+    };
+
+    const parseNot = () => {
+        if (peek() && peek().kind === 'NOT') {
+            pos++;
+            return { op: 'not', item: parseNot() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw new Error('查詢不完整 (運算子後面缺少條件)');
+        if (token.kind === '(') {
+            pos++;
+            const expr = parseOr();
+            if (!peek() || peek().kind !== ')') throw new Error('括號沒有結束 (缺少 ")")');
+            pos++;
+            return expr;
+        }
+        if (token.kind === 'term') {
+            pos++;
+            return { op: 'term', ...token };
+        }
+        throw new Error(`「${token.kind}」的位置不正確`);
+    };
+
+    const expr = parseOr();
+    if (pos < tokens.length) throw new Error(`多出的「${tokens[pos].kind === 'term' ? '條件' : tokens[pos].kind}」`);
+    return expr;
+};
+
+/**
+ * Parse a search query
+ * @param {string} input
+ * @returns {Object|null} expression tree, null for an empty query
+ * @throws {Error} with a user-facing message when the syntax is invalid
+ */
+export const parseSearchQuery = (input) => {
+    const tokens = tokenize(input.trim());
+    return tokens.length === 0 ? null : parseTokens(tokens);
+};
+
+// --- Matching ---
+
+const textMatches = (term, text) => (
+    term.regex ? term.regex.test(text || '') : (text || '').toLowerCase().includes(term.text.toLowerCase())
+);
+
+const exactMatches = (term, text) => (
+    term.regex ? term.regex.test(text || '') : (text || '').toLowerCase() === term.text.toLowerCase()
+);
+
+// level:3、level:>3、level:<=2、level:2..4
+const levelMatches = (term, level) => {
+    if (term.regex) return term.regex.test(String(level));
+    const range = /^(\d+)\.\.(\d+)$/.exec(term.text);
+    if (range) return level >= Number(range[1]) && level <= Number(range[2]);
+    const compare = /^(>=|<=|>|<|=)?(\d+)$/.exec(term.text);
+    if (!compare) throw new Error(`level: 需要數字、比較 (>3) 或範圍 (2..4)，收到「${term.text}」`);
+    const value = Number(compare[2]);
+    switch (compare[1]) {
+        case '>': return level > value;
+        case '>=': return level >= value;
+        case '<': return level < value;
+        case '<=': return level <= value;
+        default: return level === value;
+    }
+};
+
+// card:1..n 比較上下限 (0..* 與 0..n 視為相同)，card:optional 等別名依基數判斷
+const cardinalityMatches = (term, cardinality) => {
+    if (term.regex) return term.regex.test(cardinality || '');
+    const alias = CARDINALITY_ALIASES[term.text.toLowerCase()];
+    if (alias) return alias(cardinality);
+    const wanted = parseCardinality(term.text);
+    if (!wanted) throw new Error(`card: 需要基數 (1、0..1、1..n) 或 mandatory / optional / repeating，收到「${term.text}」`);
+    const actual = parseCardinality(cardinality);
+    return Boolean(actual) && actual.min === wanted.min && actual.max === wanted.max;
+};
+
+const termMatches = (term, node, index) => {
+    switch (term.field) {
+        case 'name':
+            return textMatches(term, node.name);
+        case 'def':
+            return textMatches(term, node.description);
+        case 'field':
+            return exactMatches(term, node.fieldNo);
+        case 'level':
+            return levelMatches(term, node.level);
+        case 'card':
+            return cardinalityMatches(term, node.cardinality);
+        case 'under':
+            // 任一祖先的完整名稱或類型名相符
+            return index.getAncestorIds(node.id).some(ancestorId => {
+                const ancestor = index.byId.get(ancestorId);
+                return ancestor && (exactMatches(term, ancestor.name) || exactMatches(term, splitNodeName(ancestor.name).type));
+            });
+        case 'code':
+            return Boolean(node.codeList) && node.codeList.values.some(value => exactMatches(term, value.code));
+        default:
+            // 一般關鍵字：名稱或 Field # (與舊版關鍵字搜尋相同)；regex 只比對名稱
+            return term.regex ? term.regex.test(node.name) : textMatches(term, node.name) || node.fieldNo.includes(term.text);
+    }
+};
+
+const evaluate = (expr, node, index) => {
+    switch (expr.op) {
+        case 'and': return expr.items.every(item => evaluate(item, node, index));
+        case 'or': return expr.items.some(item => evaluate(item, node, index));
+        case 'not': return !evaluate(expr.item, node, index);
+        default: return termMatches(expr, node, index);
+    }
+};
+
+/**
+ * Find the nodes matching a parsed query, in document order
+ * @param {Object} expr - from parseSearchQuery
+ * @param {Array<Object>} data
+ * @param {Object} index - from buildSpecIndex (needed by under:)
+ * @returns {Array<Object>}
+ * @throws {Error} when a filter value is invalid (e.g. level:abc)
+ */
+export const runSearchQuery = (expr, data, index) => data.filter(node => evaluate(expr, node, index));
+
+/**
+ * Whether the search box text uses query syntax (field filters, operators,
+ * quotes, parentheses or a /regex/) rather than a tree path. Parentheses inside
+ * a slash-separated path segment, such as "(Choice)", are part of the name.
+ * @param {string} input
+ * @returns {boolean}
+ */
+export const isQuerySyntax = (input) => {
+    const trimmed = input.trim();
+    if (new RegExp(`(^|[\\s(-])(${QUERY_FIELDS.join('|')}):`, 'i').test(trimmed)) return true;
+    if (/(^|\s)(AND|OR|NOT)(\s|$)/.test(trimmed) || trimmed.includes('"')) return true;
+    // 含斜線的字 (路徑，如 /PurchaseOrder/(Choice)/ProductLineItem) 中的括號是名稱的一部分，不是群組
+    if (/[()]/.test(trimmed.replace(/[^\s/]*\/[^\s]*/g, ''))) return true;
+    // /regex/flags：中間沒有其他斜線 (路徑如 /Pip3A4/ServiceHeader 在第二個斜線後還有名稱)；
+    // 內容只是名稱且沒有旗標時 (/Pip3A4/、/ServiceHeader/) 視為結尾帶斜線的路徑
+    const regex = /^-?\/([^/]+)\/([gimsuy]*)$/.exec(trimmed);
+    return Boolean(regex) && (regex[2] !== '' || !/^[\w.*[\]-]+$/.test(regex[1]));
+};
@@ -0,0 +1,204 @@
+/**
+ * Spec Version Diff
+ * Compares two parsed spec trees and produces a merged tree marking nodes as
+ * added, removed, moved, renamed or changed (cardinality / definition).
+ * Nodes are matched by path (name under a matched parent), never by field #.
+ */
+
+import { buildChildrenMap, buildNodePaths, isGroupNode } from './specTree';
+
+/**
+ * @typedef {Object} DiffRow
+ * @property {string} key
+ * @property {number} level - depth in the merged tree
+ * @property {'unchanged'|'changed'|'added'|'removed'|'moved'|'renamed'} status
+ * @property {Array<'cardinality'|'description'>} changes
+ * @property {Object|null} oldNode
+ * @property {Object|null} newNode
+ * @property {string} oldPath
+ * @property {string} newPath
+ */
+
+const typePart = (name) => name.split('.')[1] || '';
+const attributePart = (name) => name.split('.')[0];
+
+// 子樹結構 (子節點名稱、基數，遞迴) 的簽章，用來確認同名節點是否為同一個搬移的結構
+const createSignatureLookup = (childrenMap) => {
+    const signatures = new Map();
+    const signatureOf = (id) => {
+        if (signatures.has(id)) return signatures.get(id);
+        const signature = (childrenMap.get(id) || [])
+            .map(child => `${child.name}[${child.cardinality}](${signatureOf(child.id)})`)
+            .join(',');
+        signatures.set(id, signature);
+        return signature;
+    };
+    return signatureOf;
+};
+
+const countNames = (nodes) => nodes.reduce((counts, node) => counts.set(node.name, (counts.get(node.name) || 0) + 1), new Map());
+
+/**
+ * Diff two spec trees
+ * @param {Array<Object>} oldData - nodes of the earlier version
+ * @param {Array<Object>} newData - nodes of the later version
+ * @returns {Array<DiffRow>} merged rows in tree order
+ */
+export const diffSpecs = (oldData, newData) => {
+    const oldChildren = buildChildrenMap(oldData);
+    const newChildren = buildChildrenMap(newData);
+    const oldPaths = buildNodePaths(oldData);
+    const newPaths = buildNodePaths(newData);
+
+    const oldToNew = new Map();
+    const newToOld = new Map();
+    const pairKind = new Map(); // new id -> 'path' | 'renamed' | 'moved'
+
+    const pair = (oldNode, newNode, kind) => {
+        oldToNew.set(oldNode.id, newNode);
+        newToOld.set(newNode.id, oldNode);
+        pairKind.set(newNode.id, kind);
+    };
+
+    /**
+     * Match the children of two paired nodes, then recurse into each pair
+     * 1. same name (in order, so repeated names pair up positionally)
+     * 2. same type part or same attribute part -> renamed
+     */
+    const matchChildren = (oldParentId, newParentId) => {
+        const oldKids = (oldChildren.get(oldParentId) || []).filter(n => !oldToNew.has(n.id));
+        const newKids = (newChildren.get(newParentId) || []).filter(n => !newToOld.has(n.id));
+        const pairs = [];
+
+        newKids.forEach(newNode => {
+            const oldNode = oldKids.find(o => !oldToNew.has(o.id) && o.name === newNode.name);
+            if (oldNode) {
+                pair(oldNode, newNode, 'path');
+                pairs.push([oldNode, newNode]);
+            }
+        });
+
+        newKids.filter(n => !newToOld.has(n.id)).forEach(newNode => {
+            const oldNode = oldKids.find(o => !oldToNew.has(o.id) && (
+                (typePart(o.name) && typePart(o.name) === typePart(newNode.name)) ||
+                (typePart(o.name) && typePart(newNode.name) && attributePart(o.name) === attributePart(newNode.name))
+            ));
+            if (oldNode) {
+                pair(oldNode, newNode, 'renamed');
+                pairs.push([oldNode, newNode]);
+            }
+        });
+
+        pairs.forEach(([oldNode, newNode]) => matchChildren(oldNode.id, newNode.id));
+    };
+
+    // 根節點：同名配對；若兩邊都只有一個根則直接配對
+    const oldRoots = oldChildren.get(0) || [];
+    const newRoots = newChildren.get(0) || [];
+    if (oldRoots.length === 1 && newRoots.length === 1) {
+        pair(oldRoots[0], newRoots[0], oldRoots[0].name === newRoots[0].name ? 'path' : 'renamed');
+        matchChildren(oldRoots[0].id, newRoots[0].id);
+    } else {
+        matchChildren(0, 0);
+    }
+
+    // 搬移：剩下未配對、名稱相同的節點，且名稱在兩邊未配對節點中都唯一，或有子節點且子樹結構相同，才視為搬移
+    // (只比名稱會把樹中任意位置的同名節點，例如各處的 FreeFormText，配成搬移；取最淺者優先)
+    const unmatchedOld = oldData.filter(n => !oldToNew.has(n.id));
+    const unmatchedNew = newData.filter(n => !newToOld.has(n.id));
+    const oldNameCounts = countNames(unmatchedOld);
+    const newNameCounts = countNames(unmatchedNew);
+    const oldSignatureOf = createSignatureLookup(oldChildren);
+    const newSignatureOf = createSignatureLookup(newChildren);
+    unmatchedNew.forEach(newNode => {
+        if (newToOld.has(newNode.id) || isGroupNode(newNode)) return;
+        const unique = oldNameCounts.get(newNode.name) === 1 && newNameCounts.get(newNode.name) === 1;
+        const oldNode = unmatchedOld.find(o => !oldToNew.has(o.id) && o.name === newNode.name
+            && (unique || (newSignatureOf(newNode.id) !== '' && oldSignatureOf(o.id) === newSignatureOf(newNode.id))));
+        if (oldNode) {
+            pair(oldNode, newNode, 'moved');
+            matchChildren(oldNode.id, newNode.id);
+        }
+    });
+
+    const buildRow = (oldNode, newNode, level) => {
+        let status;
+        const changes = [];
+
+        if (!oldNode) {
+            status = 'added';
+        } else if (!newNode) {
+            status = 'removed';
+        } else {
+            if ((oldNode.cardinality || '') !== (newNode.cardinality || '')) changes.push('cardinality');
+            if ((oldNode.description || '') !== (newNode.description || '')) changes.push('description');
+
+            const kind = pairKind.get(newNode.id);
+            if (kind === 'moved' && oldPaths.get(oldNode.id) !== newPaths.get(newNode.id)) status = 'moved';
+            else if (kind === 'renamed') status = 'renamed';
+            else status = changes.length > 0 ? 'changed' : 'unchanged';
+        }
+
+        return {
+            key: `${oldNode ? oldNode.id : '-'}:${newNode ? newNode.id : '-'}`,
+            level,
+            status,
+            changes,
+            oldNode: oldNode || null,
+            newNode: newNode || null,
+            oldPath: oldNode ? oldPaths.get(oldNode.id) : '',
+            newPath: newNode ? newPaths.get(newNode.id) : ''
+        };
+    };
+
+    const rows = [];
+
+    /**
+     * Emit a merged row and its children: the new node's children in order, with removed
+     * old children inserted after their nearest preceding old sibling that still exists
+     */
+    const emit = (oldNode, newNode, level) => {
+        rows.push(buildRow(oldNode, newNode, level));
+
+        const newKids = newNode ? (newChildren.get(newNode.id) || []) : [];
+        const oldKids = oldNode ? (oldChildren.get(oldNode.id) || []) : [];
+
+        const removedAfter = new Map(); // new child id (or 0 for the start) -> removed old children
+        let anchor = 0;
+        oldKids.forEach(oldKid => {
+            const counterpart = oldToNew.get(oldKid.id);
+            if (counterpart) {
+                if (counterpart.parentId === (newNode ? newNode.id : null)) anchor = counterpart.id;
+                return;
+            }
+            if (!removedAfter.has(anchor)) removedAfter.set(anchor, []);
+            removedAfter.get(anchor).push(oldKid);
+        });
+
+        const emitRemoved = (anchorId) => {
+            (removedAfter.get(anchorId) || []).forEach(oldKid => emit(oldKid, null, level + 1));
+        };
+
+        emitRemoved(0);
+        newKids.forEach(newKid => {
+            emit(newToOld.get(newKid.id) || null, newKid, level + 1);
+            emitRemoved(newKid.id);
+        });
+    };
+
+    newRoots.forEach(root => emit(newToOld.get(root.id) || null, root, 0));
+    oldRoots.filter(root => !oldToNew.has(root.id)).forEach(root => emit(root, null, 0));
+
+    return rows;
+};
+
+/**
+ * Summarize diff rows by status
+ * @param {Array<DiffRow>} rows
+ * @returns {Object<string, number>}
+ */
+export const summarizeDiff = (rows) => rows.reduce((summary, row) => {
+    summary[row.status] = (summary[row.status] || 0) + 1;
+    if (row.changes.length > 0 && row.status !== 'changed') summary.changed = (summary.changed || 0) + 1;
+    return summary;
+}, {});
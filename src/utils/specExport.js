@@ -0,0 +1,67 @@
+/**
+ * Spreadsheet Export of the Spec Tree
+ * Columns: Field #, Level, Name (indented by level), Path, Cardinality, Definition.
+ */
+
+import { buildCanonicalPath } from './specTree';
+import { toCsv } from './csv';
+import { createXlsx } from './xlsx';
+
+const COLUMNS = [
+    { header: 'Field #', width: 10 },
+    { header: 'Level', width: 7 },
+    { header: 'Name', width: 45 },
+    { header: 'Path', width: 70 },
+    { header: 'Cardinality', width: 12 },
+    { header: 'Definition', width: 90 },
+];
+
+// CSV 沒有儲存格格式，以每層兩個空白表示縮排
+const CSV_INDENT = '  ';
+
+/**
+ * Export nodes as CSV (UTF-8 with BOM for Excel)
+ * @param {Array<Object>} nodes - rows to export, in document order
+ * @param {Object} index - from buildSpecIndex over every node of the spec, for paths
+ * @returns {string}
+ */
+export const specToCsv = (nodes, index) => toCsv(
+    COLUMNS.map(column => column.header),
+    nodes.map(node => [
+        node.fieldNo,
+        node.level,
+        CSV_INDENT.repeat(node.level) + node.name,
+        buildCanonicalPath(index, node.id),
+        node.cardinality,
+        node.description,
+    ])
+);
+
+/**
+ * Export nodes as an XLSX workbook; rows are grouped by level so the
+ * hierarchy can be collapsed with Excel's outline buttons
+ * @param {Array<Object>} nodes - rows to export, in document order
+ * @param {Object} index - from buildSpecIndex over every node of the spec, for paths
+ * @param {{sheetName?: string}} [options]
+ * @returns {Uint8Array}
+ */
+export const specToXlsx = (nodes, index, { sheetName = 'Spec' } = {}) => {
+    // 匯出部分列時，以匯出範圍內最淺的層級作為大綱第 0 層
+    const baseLevel = nodes.reduce((min, node) => Math.min(min, node.level), Infinity);
+
+    return createXlsx({
+        sheetName,
+        columns: COLUMNS,
+        rows: nodes.map(node => ({
+            outlineLevel: node.level - baseLevel,
+            cells: [
+                node.fieldNo,
+                node.level,
+                { value: node.name, indent: node.level },
+                buildCanonicalPath(index, node.id),
+                node.cardinality,
+                node.description,
+            ],
+        })),
+    });
+};
@@ -0,0 +1,236 @@
+/**
+ * Spec Tree Helpers
+ * Shared utilities for walking the parsed node model
+ * ({ id, parentId, fieldNo, level, name, description, cardinality }).
+ */
+
+/**
+ * Whether a node is a structural Choice group rather than an XML element
+ * @param {{name: string}} node
+ * @returns {boolean}
+ */
+export const isChoiceNode = (node) => node.name === 'Choice' || node.name === '(Choice)';
+
+/**
+ * Whether a node is a structural Sequence group: elements that together form one
+ * Choice branch, as in the schema content model ((a, b) | c)
+ * @param {{name: string}} node
+ * @returns {boolean}
+ */
+export const isSequenceNode = (node) => node.name === 'Sequence' || node.name === '(Sequence)';
+
+/**
+ * Whether a node is a structural group (Choice or Sequence) rather than an XML element
+ * @param {{name: string}} node
+ * @returns {boolean}
+ */
+export const isGroupNode = (node) => isChoiceNode(node) || isSequenceNode(node);
+
+/**
+ * Split a node name into the XML element names it stands for.
+ * Compound names such as "telephoneNumber.CommunicationsNumber" become nested elements.
+ * @param {{name: string}} node
+ * @returns {Array<string>}
+ */
+export const getElementNames = (node) => node.name.split('.').map(part => part.trim()).filter(Boolean);
+
+/**
+ * Split a RosettaNet node name into its attribute and type parts,
+ * e.g. "shipTo.PartnerDescription" -> { attribute: "shipTo", type: "PartnerDescription" }.
+ * A name without a dot is a type on its own.
+ * @param {string} name
+ * @returns {{attribute: string, type: string}}
+ */
+export const splitNodeName = (name) => {
+    // 與定義查詢相同的切分方式：parts[0] 為屬性名、parts[1] 為類型名
+    const parts = name.split('.').map(part => part.trim());
+    return parts.length > 1
+        ? { attribute: parts[0], type: parts[1] }
+        : { attribute: '', type: parts[0] };
+};
+
+/**
+ * Group nodes by parentId, keeping document order
+ * @param {Array<Object>} data
+ * @returns {Map<number, Array<Object>>}
+ */
+export const buildChildrenMap = (data) => {
+    const childrenMap = new Map();
+    data.forEach(node => {
+        if (!childrenMap.has(node.parentId)) childrenMap.set(node.parentId, []);
+        childrenMap.get(node.parentId).push(node);
+    });
+    return childrenMap;
+};
+
+/**
+ * Collect the ids of every ancestor of a node (nearest first)
+ * @param {Array<Object>|Map<number, Object>} data - node list or id -> node map
+ * @param {number} id
+ * @returns {Array<number>}
+ */
+export const getAncestorIds = (data, id) => {
+    const idMap = data instanceof Map ? data : new Map(data.map(d => [d.id, d]));
+    const ancestors = [];
+    let current = idMap.get(id);
+    while (current && current.parentId !== 0) {
+        ancestors.push(current.parentId);
+        current = idMap.get(current.parentId);
+    }
+    return ancestors;
+};
+
+/**
+ * Build the slash-separated path of every node, e.g. "/Pip3A4PurchaseOrderRequest/PurchaseOrder/Choice/..."
+ * Segments are the full node names (compound names are kept as one segment).
+ * @param {Array<Object>} data
+ * @returns {Map<number, string>} id -> path
+ */
+export const buildNodePaths = (data) => {
+    const paths = new Map([[0, '']]);
+    // 資料依文件順序排列，父節點一定先出現；保險起見對缺漏的父節點做遞迴補算
+    const idMap = new Map(data.map(d => [d.id, d]));
+    const resolve = (node) => {
+        if (paths.has(node.id)) return paths.get(node.id);
+        const parent = idMap.get(node.parentId);
+        const parentPath = parent ? resolve(parent) : '';
+        const path = `${parentPath}/${node.name}`;
+        paths.set(node.id, path);
+        return path;
+    };
+    data.forEach(resolve);
+    paths.delete(0);
+    return paths;
+};
+
+/**
+ * Build a key for every node that survives re-parsing and re-uploads (ids do not):
+ * the node path with "[n]" appended to the 2nd, 3rd... sibling sharing a name,
+ * e.g. "/Pip3A4PurchaseOrderRequest/PurchaseOrder/Choice[2]/...".
+ * @param {Map<number, Array<Object>>} childrenMap - from buildChildrenMap
+ * @returns {Map<number, string>} id -> key
+ */
+export const buildStableKeys = (childrenMap) => {
+    const keys = new Map();
+    const walk = (parentId, parentKey) => {
+        const seen = new Map();
+        (childrenMap.get(parentId) || []).forEach(node => {
+            const count = (seen.get(node.name) || 0) + 1;
+            seen.set(node.name, count);
+            const key = `${parentKey}/${node.name}${count > 1 ? `[${count}]` : ''}`;
+            keys.set(node.id, key);
+            walk(node.id, key);
+        });
+    };
+    walk(0, '');
+    return keys;
+};
+
+const NO_CHILDREN = Object.freeze([]);
+
+/**
+ * Build a lookup index over the spec once per file, so tree operations
+ * (children, ancestors, paths) do not rescan the whole node list.
+ * @param {Array<Object>} data
+ * @returns {{
+ *   byId: Map<number, Object>,
+ *   children: Map<number, Array<Object>>,
+ *   paths: Map<number, string>,
+ *   keys: Map<number, string>,
+ *   getChildren: function(number): Array<Object>,
+ *   hasChildren: function(number): boolean,
+ *   getAncestorIds: function(number): Array<number>
+ * }}
+ */
+export const buildSpecIndex = (data) => {
+    const byId = new Map(data.map(d => [d.id, d]));
+    const children = buildChildrenMap(data);
+    const paths = buildNodePaths(data);
+    const keys = buildStableKeys(children);
+
+    return {
+        byId,
+        children,
+        paths,
+        keys,
+        getChildren: (id) => children.get(id) || NO_CHILDREN,
+        hasChildren: (id) => children.has(id),
+        getAncestorIds: (id) => getAncestorIds(byId, id),
+    };
+};
+
+const ancestorChain = (byId, id) => {
+    const chain = [];
+    let current = byId.get(id);
+    while (current) {
+        chain.unshift(current);
+        current = byId.get(current.parentId);
+    }
+    return chain;
+};
+
+/**
+ * Name a node is counted under among its siblings for "[n]" indexes
+ * (Choice and (Choice) both count as "Choice", likewise for Sequence)
+ * @param {{name: string}} node
+ * @returns {string}
+ */
+export const getSiblingName = (node) => {
+    if (isChoiceNode(node)) return 'Choice';
+    return isSequenceNode(node) ? 'Sequence' : node.name;
+};
+
+/**
+ * Children of a node with Choice and Sequence levels replaced by their own children,
+ * i.e. the child elements as they appear in XML
+ * @param {Object} index - from buildSpecIndex
+ * @param {number} parentId
+ * @returns {Array<Object>}
+ */
+export const getChildrenThroughChoice = (index, parentId) => index.getChildren(parentId)
+    .flatMap(child => (isGroupNode(child) ? getChildrenThroughChoice(index, child.id) : [child]));
+
+// 有同名兄弟時加上 [n] (1 起算，第一個也加，路徑才不會同時比對到其他同名節點)
+const positionSuffix = (siblings, node) => {
+    const sameName = siblings.filter(sibling => getSiblingName(sibling) === getSiblingName(node));
+    return sameName.length > 1 ? `[${sameName.indexOf(node) + 1}]` : '';
+};
+
+// 最近的非群組 (Choice / Sequence) 祖先 (XML 中的父元素)，根層為 0
+const elementParentId = (byId, node) => {
+    let parentId = node.parentId;
+    while (byId.has(parentId) && isGroupNode(byId.get(parentId))) parentId = byId.get(parentId).parentId;
+    return parentId;
+};
+
+/**
+ * Canonical search path of a node: Choice and Sequence levels kept as explicit segments,
+ * compound names split back into segments (telephoneNumber/CommunicationsNumber),
+ * and "[n]" on siblings sharing a name (numbered like buildStableKeys, but from [1]).
+ * Pasting it into path search resolves to the same node.
+ * @param {Object} index - from buildSpecIndex
+ * @param {number} id
+ * @returns {string}
+ */
+export const buildCanonicalPath = (index, id) => '/' + ancestorChain(index.byId, id)
+    .flatMap(node => {
+        const [first, ...rest] = isGroupNode(node) ? [getSiblingName(node)] : getElementNames(node);
+        return [first + positionSuffix(index.getChildren(node.parentId), node), ...rest];
+    })
+    .join('/');
+
+/**
+ * XPath of the XML element a node stands for (Choice and Sequence levels are not elements and are
+ * left out); siblings sharing a name are numbered among the parent element's children, group contents included
+ * @param {Object} index - from buildSpecIndex
+ * @param {number} id
+ * @returns {string}
+ */
+export const buildXPath = (index, id) => '/' + ancestorChain(index.byId, id)
+    .filter(node => !isGroupNode(node))
+    .flatMap(node => {
+        const [first, ...rest] = getElementNames(node);
+        const siblings = getChildrenThroughChoice(index, elementParentId(index.byId, node));
+        return [first + positionSuffix(siblings, node), ...rest];
+    })
+    .join('/');
@@ -0,0 +1,117 @@
+/**
+ * Type Usage (Where Used)
+ * Groups nodes by RosettaNet type name (the part after the dot, e.g.
+ * "shipTo.PartnerDescription" -> "PartnerDescription") and compares the child
+ * structure of every occurrence, so reused business entities can be reviewed once.
+ */
+
+import { splitNodeName, isGroupNode } from './specTree';
+
+// 每個索引只建立一次簽章表，buildTypeUsage 與每次 compareStructure 共用 (索引不再使用時一併釋放)
+const signatureLookups = new WeakMap();
+
+/**
+ * Describe the child structure under every node as a string, so two occurrences
+ * of a type can be compared cheaply. Children are compared by full name and cardinality.
+ * The lookup is cached per index.
+ * @param {Object} index - from buildSpecIndex
+ * @returns {function(number): string} id -> structure signature ('' for leaves)
+ */
+const getSignatureLookup = (index) => {
+    if (signatureLookups.has(index)) return signatureLookups.get(index);
+    const signatures = new Map();
+    const signatureOf = (id) => {
+        if (signatures.has(id)) return signatures.get(id);
+        const signature = index.getChildren(id)
+            .map(child => `${child.name}[${child.cardinality}](${signatureOf(child.id)})`)
+            .join(',');
+        signatures.set(id, signature);
+        return signature;
+    };
+    signatureLookups.set(index, signatureOf);
+    return signatureOf;
+};
+
+/**
+ * Group every node by type name and split the occurrences into structure variants.
+ * Variant 0 is the most common structure (ties go to the first in document order);
+ * occurrences in any other variant differ from it.
+ * @param {Array<Object>} data
+ * @param {Object} index - from buildSpecIndex
+ * @returns {Array<{
+ *   type: string,
+ *   occurrences: Array<{node: Object, path: string, variant: number}>,
+ *   variants: Array<{referenceId: number, count: number, childCount: number}>,
+ *   differs: boolean
+ * }>} sorted by occurrence count, then type name
+ */
+export const buildTypeUsage = (data, index) => {
+    const signatureOf = getSignatureLookup(index);
+    const groups = new Map();
+
+    data.forEach(node => {
+        // Choice / Sequence 只是結構群組，不是可重用的型別
+        if (isGroupNode(node)) return;
+        const { type } = splitNodeName(node.name);
+        if (!type) return;
+        if (!groups.has(type)) groups.set(type, []);
+        groups.get(type).push(node);
+    });
+
+    const usage = Array.from(groups, ([type, nodes]) => {
+        const bySignature = new Map();
+        nodes.forEach(node => {
+            const signature = signatureOf(node.id);
+            if (!bySignature.has(signature)) bySignature.set(signature, []);
+            bySignature.get(signature).push(node);
+        });
+
+        // 出現次數最多的結構為基準 (sort 為穩定排序，同數時保留文件順序)
+        const variants = Array.from(bySignature.values())
+            .sort((a, b) => b.length - a.length);
+        const variantOf = new Map();
+        variants.forEach((members, i) => members.forEach(node => variantOf.set(node.id, i)));
+
+        return {
+            type,
+            occurrences: nodes.map(node => ({ node, path: index.paths.get(node.id), variant: variantOf.get(node.id) })),
+            variants: variants.map(members => ({
+                referenceId: members[0].id,
+                count: members.length,
+                childCount: index.getChildren(members[0].id).length,
+            })),
+            differs: variants.length > 1,
+        };
+    });
+
+    return usage.sort((a, b) => b.occurrences.length - a.occurrences.length || a.type.localeCompare(b.type));
+};
+
+/**
+ * Compare the direct children of an occurrence with a reference occurrence
+ * @param {Object} index - from buildSpecIndex
+ * @param {number} referenceId
+ * @param {number} id
+ * @returns {{missing: Array<string>, extra: Array<string>, changed: Array<string>}}
+ *   changed: children present in both whose cardinality or own structure differ
+ */
+export const compareStructure = (index, referenceId, id) => {
+    const signatureOf = getSignatureLookup(index);
+    const toMap = (parentId) => new Map(index.getChildren(parentId).map(child => [child.name, child]));
+    const reference = toMap(referenceId);
+    const other = toMap(id);
+
+    const missing = [];
+    const changed = [];
+    reference.forEach((child, name) => {
+        const match = other.get(name);
+        if (!match) {
+            missing.push(name);
+        } else if (match.cardinality !== child.cardinality || signatureOf(match.id) !== signatureOf(child.id)) {
+            changed.push(name);
+        }
+    });
+    const extra = Array.from(other.keys()).filter(name => !reference.has(name));
+
+    return { missing, extra, changed };
+};
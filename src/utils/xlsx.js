@@ -0,0 +1,139 @@
+/**
+ * Minimal XLSX Writer
+ * Writes a single-sheet workbook with inline strings, a bold frozen header row,
+ * column widths, per-cell indentation and row outline levels (Excel grouping).
+ */
+
+import { createZip } from './zip';
+import { escapeXml } from './xmlGenerator';
+
+// Excel 的限制：縮排最多 15 層、大綱最多 7 層
+const MAX_INDENT = 15;
+const MAX_OUTLINE_LEVEL = 7;
+
+const HEADER_STYLE = 1;
+const INDENT_STYLE_BASE = 2;
+
+// XML 1.0 不允許的控制字元 (來自貼上的定義文字) 直接移除，僅保留 tab 與換行
+const cleanText = (value) => escapeXml(
+    [...String(value)].filter(char => char.charCodeAt(0) >= 0x20 || '\t\n\r'.includes(char)).join('')
+);
+
+const columnLetter = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+const cellXml = (cell, ref, style) => {
+    const value = cell !== null && typeof cell === 'object' ? cell.value : cell;
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') return `<c r="${ref}"${styleAttr}/>`;
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${cleanText(value)}</t></is></c>`;
+};
+
+const cellStyle = (cell) => {
+    if (cell === null || typeof cell !== 'object' || !cell.indent) return 0;
+    return INDENT_STYLE_BASE + Math.min(cell.indent, MAX_INDENT);
+};
+
+const sheetXml = (columns, rows) => {
+    const maxOutline = rows.reduce((max, row) => Math.max(max, Math.min(row.outlineLevel || 0, MAX_OUTLINE_LEVEL)), 0);
+    const lastRef = `${columnLetter(columns.length - 1)}${rows.length + 1}`;
+
+    const headerRow = `<row r="1">${columns.map((column, c) => cellXml(column.header, `${columnLetter(c)}1`, HEADER_STYLE)).join('')}</row>`;
+    const dataRows = rows.map((row, r) => {
+        const rowNumber = r + 2;
+        const outline = Math.min(row.outlineLevel || 0, MAX_OUTLINE_LEVEL);
+        const outlineAttr = outline > 0 ? ` outlineLevel="${outline}"` : '';
+        const cells = row.cells.map((cell, c) => cellXml(cell, `${columnLetter(c)}${rowNumber}`, cellStyle(cell))).join('');
+        return `<row r="${rowNumber}"${outlineAttr}>${cells}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        // 摘要列 (父節點) 位於群組上方
+        + '<sheetPr><outlinePr summaryBelow="0"/></sheetPr>'
+        + `<dimension ref="A1:${lastRef}"/>`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetFormatPr defaultRowHeight="15"${maxOutline > 0 ? ` outlineLevelRow="${maxOutline}"` : ''}/>`
+        + `<cols>${columns.map((column, c) => `<col min="${c + 1}" max="${c + 1}" width="${column.width || 12}" customWidth="1"/>`).join('')}</cols>`
+        + `<sheetData>${headerRow}${dataRows.join('')}</sheetData>`
+        + `<autoFilter ref="A1:${lastRef}"/>`
+        + '</worksheet>';
+};
+
+const stylesXml = () => {
+    const indentXfs = Array.from({ length: MAX_INDENT + 1 }, (_, indent) =>
+        `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment indent="${indent}"/></xf>`);
+    const xfs = [
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>',
+        ...indentXfs,
+    ];
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>`
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>';
+};
+
+/**
+ * Build an .xlsx workbook with one sheet
+ * @param {{
+ *   sheetName: string,
+ *   columns: Array<{header: string, width?: number}>,
+ *   rows: Array<{cells: Array<string|number|{value: string|number, indent?: number}>, outlineLevel?: number}>
+ * }} sheet - outlineLevel groups rows under the nearest row above with a lower level
+ * @returns {Uint8Array} file content
+ */
+export const createXlsx = ({ sheetName, columns, rows }) => {
+    // 工作表名稱最多 31 字元且不可含 []:*?/\
+    const safeSheetName = (sheetName || 'Sheet1').replace(/[[\]:*?/\\]/g, '_').slice(0, 31);
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${cleanText(safeSheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                + '</Relationships>',
+        },
+        { name: 'xl/worksheets/sheet1.xml', data: sheetXml(columns, rows) },
+        { name: 'xl/styles.xml', data: stylesXml() },
+    ]);
+};
@@ -0,0 +1,115 @@
+/**
+ * Sample XML Generator
+ * Writes a well-formed XML skeleton from the parsed spec tree, usable as a
+ * starting test message for partner onboarding.
+ */
+
+import { isOptional } from './cardinality';
+import { isChoiceNode, isSequenceNode, isGroupNode, getElementNames, buildChildrenMap } from './specTree';
+
+const INDENT = '  ';
+
+/**
+ * Replace characters that are not allowed in XML element names
+ * @param {string} name
+ * @returns {string}
+ */
+export const toXmlName = (name) => {
+    const cleaned = name.replace(/[^\w.-]/g, '_');
+    return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+};
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeComment = (text) => String(text).replace(/--/g, '- -');
+
+/**
+ * Generate a sample XML instance from the spec tree
+ * - Compound names (telephoneNumber.CommunicationsNumber) become nested elements
+ * - Repeating elements are written once
+ * - Choice groups use their first (usable) branch; a Sequence branch writes all its elements
+ * - Only the first root is written, so the document has a single root element;
+ *   the other roots are listed in a comment
+ * @param {Array<Object>} data - parsed spec nodes
+ * @param {{mode?: 'mandatory'|'all'}} [options] - mandatory: skip optional (0..x) elements
+ * @returns {string} XML text
+ */
+export const generateSampleXml = (data, { mode = 'all' } = {}) => {
+    const childrenMap = buildChildrenMap(data);
+    const include = (node) => mode === 'all' || !isOptional(node.cardinality);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+    const writeChildren = (nodeId, depth) => {
+        (childrenMap.get(nodeId) || []).forEach(child => {
+            if (include(child)) writeNode(child, depth);
+        });
+    };
+
+    const writeNode = (node, depth) => {
+        const pad = INDENT.repeat(depth);
+
+        if (isChoiceNode(node)) {
+            const branches = (childrenMap.get(node.id) || []).filter(b => !isGroupNode(b) || (childrenMap.get(b.id) || []).length > 0);
+            if (branches.length === 0) return;
+            const picked = branches[0];
+            const describe = (b) => (isSequenceNode(b) ? `(${(childrenMap.get(b.id) || []).map(c => c.name).join(', ')})` : b.name);
+            lines.push(`${pad}<!-- Choice: ${escapeComment(branches.map(describe).join(' | '))} -->`);
+            writeNode(picked, depth);
+            return;
+        }
+
+        // Sequence 不是元素：其中的元素依序寫在同一層
+        if (isSequenceNode(node)) {
+            (childrenMap.get(node.id) || []).forEach(child => writeNode(child, depth));
+            return;
+        }
+
+        const names = getElementNames(node).map(toXmlName);
+        if (names.length === 0) return;
+
+        const hasChildren = (childrenMap.get(node.id) || []).some(include);
+
+        // 複合名稱：外層包裝元素依序展開
+        names.slice(0, -1).forEach((name, k) => {
+            lines.push(`${pad}${INDENT.repeat(k)}<${name}>`);
+        });
+
+        const innerPad = pad + INDENT.repeat(names.length - 1);
+        const innerName = names[names.length - 1];
+
+        if (hasChildren) {
+            lines.push(`${innerPad}<${innerName}>`);
+            writeChildren(node.id, depth + names.length);
+            lines.push(`${innerPad}</${innerName}>`);
+        } else {
+            lines.push(`${innerPad}<${innerName}></${innerName}>`);
+        }
+
+        names.slice(0, -1).reverse().forEach((name, k) => {
+            lines.push(`${pad}${INDENT.repeat(names.length - 2 - k)}</${name}>`);
+        });
+    };
+
+    // XML 只能有一個根元素；必填模式也略過選填的根，全部選填時仍取第一個以保持格式正確
+    const roots = childrenMap.get(0) || [];
+    const included = roots.filter(include);
+    const documentRoot = included[0] || roots[0];
+    if (documentRoot) {
+        const others = roots.filter(root => root !== documentRoot);
+        if (others.length > 0) {
+            lines.push(`<!-- Other roots in this spec: ${escapeComment(others.map(root => root.name).join(', '))} -->`);
+        }
+        writeNode(documentRoot, 0);
+    }
+
+    return lines.join('\n') + '\n';
+};
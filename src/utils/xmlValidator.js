@@ -0,0 +1,317 @@
+/**
+ * XML Instance Validator
+ * Checks a PIP XML message against the parsed spec tree: unknown elements,
+ * missing mandatory elements, cardinality, element order and Choice branches.
+ */
+
+import { parseCardinality, isMandatory } from './cardinality';
+import { isChoiceNode, isSequenceNode, isGroupNode, getElementNames, buildChildrenMap } from './specTree';
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {'parse'|'root'|'unknown'|'missing'|'cardinality'|'order'|'choice'} type
+ * @property {string} message
+ * @property {number|null} nodeId - spec node the issue points at (parent node for unknown elements)
+ * @property {string} xpath - location in the XML instance
+ */
+
+const childElements = (el) => Array.from(el.children);
+
+/**
+ * Build the content model of a spec node: element particles, Choice groups and
+ * Sequence groups (several elements forming one Choice branch)
+ * @param {Map<number, Array<Object>>} childrenMap
+ * @param {number} nodeId
+ * @returns {Array<Object>}
+ */
+const buildParticles = (childrenMap, nodeId) => (childrenMap.get(nodeId) || []).map(child => {
+    if (isChoiceNode(child)) return { kind: 'choice', node: child, branches: buildParticles(childrenMap, child.id) };
+    if (isSequenceNode(child)) return { kind: 'sequence', node: child, items: buildParticles(childrenMap, child.id) };
+    return { kind: 'element', node: child, elementName: getElementNames(child)[0] };
+});
+
+/**
+ * Find the element particle (possibly nested in Choice or Sequence groups) that accepts an element name
+ * @returns {{particle: Object, branchIndex: number}|null} branchIndex: the Choice branch it belongs to
+ */
+const matchParticle = (particle, localName) => {
+    if (particle.kind === 'element') {
+        return particle.elementName === localName ? { particle, branchIndex: -1 } : null;
+    }
+    // Sequence 內的元素同屬一個分支
+    if (particle.kind === 'sequence') {
+        for (const item of particle.items) {
+            const found = matchParticle(item, localName);
+            if (found) return { particle: found.particle, branchIndex: -1 };
+        }
+        return null;
+    }
+    for (let i = 0; i < particle.branches.length; i++) {
+        const found = matchParticle(particle.branches[i], localName);
+        if (found) return { particle: found.particle, branchIndex: i };
+    }
+    return null;
+};
+
+const describeBounds = (cardinality) => cardinality || '?';
+
+// 分支說明：Sequence 列出其中的元素，如 (a, b)
+const describeParticle = (particle) => (
+    particle.kind === 'sequence' ? `(${particle.items.map(describeParticle).join(', ')})` : particle.node.name
+);
+
+/**
+ * Validate an XML instance against the spec tree
+ * @param {string} xmlText - XML document text
+ * @param {Array<Object>} data - parsed spec nodes
+ * @returns {Array<ValidationIssue>}
+ */
+export const validateXmlInstance = (xmlText, data) => {
+    const issues = [];
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const parseError = doc.getElementsByTagName('parsererror')[0];
+
+    if (parseError) {
+        issues.push({
+            type: 'parse',
+            message: `XML 格式錯誤: ${parseError.textContent.trim().split('\n')[0]}`,
+            nodeId: null,
+            xpath: ''
+        });
+        return issues;
+    }
+
+    const childrenMap = buildChildrenMap(data);
+    const roots = (childrenMap.get(0) || []).filter(n => !isGroupNode(n));
+    const rootEl = doc.documentElement;
+
+    let rootNode = roots.find(n => getElementNames(n)[0] === rootEl.localName);
+    if (!rootNode) {
+        issues.push({
+            type: 'root',
+            message: `根元素 <${rootEl.localName}> 與規範不符 (預期: ${roots.map(n => n.name).join(', ') || '無'})`,
+            nodeId: roots[0] ? roots[0].id : null,
+            xpath: `/${rootEl.localName}`
+        });
+        if (roots.length !== 1) return issues;
+        rootNode = roots[0];
+    }
+
+    /**
+     * Validate an element (and wrapper elements of a compound name) against a spec node
+     */
+    const validateElement = (el, node, xpath) => {
+        const names = getElementNames(node);
+        let current = el;
+        let currentPath = xpath;
+
+        // 複合名稱：telephoneNumber.CommunicationsNumber -> <telephoneNumber><CommunicationsNumber>
+        for (let k = 1; k < names.length; k++) {
+            const inner = childElements(current);
+            const wrapped = inner.filter(c => c.localName === names[k]);
+            inner.filter(c => c.localName !== names[k]).forEach(c => {
+                issues.push({
+                    type: 'unknown',
+                    message: `未定義的元素 <${c.localName}> (位於 <${current.localName}> 內，預期 <${names[k]}>)`,
+                    nodeId: node.id,
+                    xpath: `${currentPath}/${c.localName}`
+                });
+            });
+            if (wrapped.length === 0) {
+                issues.push({
+                    type: 'missing',
+                    message: `缺少必要元素 <${names[k]}> (${node.name})`,
+                    nodeId: node.id,
+                    xpath: currentPath
+                });
+                return;
+            }
+            if (wrapped.length > 1) {
+                issues.push({
+                    type: 'cardinality',
+                    message: `<${names[k]}> 出現 ${wrapped.length} 次，預期 1 次 (${node.name})`,
+                    nodeId: node.id,
+                    xpath: currentPath
+                });
+            }
+            current = wrapped[0];
+            currentPath = `${currentPath}/${names[k]}`;
+        }
+
+        validateContent(current, node, currentPath);
+    };
+
+    /**
+     * Validate the child elements of an element against a node's content model
+     */
+    const validateContent = (el, node, xpath) => {
+        const particles = buildParticles(childrenMap, node.id);
+        const children = childElements(el);
+
+        if (particles.length === 0) {
+            children.forEach(c => {
+                issues.push({
+                    type: 'unknown',
+                    message: `未定義的元素 <${c.localName}> (${node.name} 在規範中沒有子元素)`,
+                    nodeId: node.id,
+                    xpath: `${xpath}/${c.localName}`
+                });
+            });
+            return;
+        }
+
+        const counts = particles.map(() => 0);
+        const elementCounts = new Map(); // element particle node id -> occurrences
+        const choiceBranches = particles.map(() => new Set());
+        const siblingIndex = new Map();
+        let pointer = 0;
+
+        children.forEach(childEl => {
+            const localName = childEl.localName;
+            const occurrence = (siblingIndex.get(localName) || 0) + 1;
+            siblingIndex.set(localName, occurrence);
+            const childPath = `${xpath}/${localName}[${occurrence}]`;
+
+            // 優先在目前位置之後尋找，找不到才往前 (順序錯誤)
+            let matchIndex = -1;
+            let match = null;
+            for (let j = pointer; j < particles.length && !match; j++) {
+                match = matchParticle(particles[j], localName);
+                if (match) matchIndex = j;
+            }
+            if (!match) {
+                for (let j = 0; j < pointer && !match; j++) {
+                    match = matchParticle(particles[j], localName);
+                    if (match) matchIndex = j;
+                }
+                if (match) {
+                    issues.push({
+                        type: 'order',
+                        message: `元素 <${localName}> 順序錯誤，應位於 ${particles[pointer].node.name} 之前`,
+                        nodeId: match.particle.node.id,
+                        xpath: childPath
+                    });
+                }
+            }
+
+            if (!match) {
+                issues.push({
+                    type: 'unknown',
+                    message: `未定義的元素 <${localName}> (位於 ${node.name})`,
+                    nodeId: node.id,
+                    xpath: childPath
+                });
+                return;
+            }
+
+            if (matchIndex > pointer) pointer = matchIndex;
+            counts[matchIndex]++;
+            const matchedNode = match.particle.node;
+            elementCounts.set(matchedNode.id, (elementCounts.get(matchedNode.id) || 0) + 1);
+
+            if (particles[matchIndex].kind === 'choice') {
+                const branches = choiceBranches[matchIndex];
+                if (branches.size > 0 && !branches.has(match.branchIndex)) {
+                    issues.push({
+                        type: 'choice',
+                        message: `Choice 只能選擇一個分支，但同時出現了 <${localName}>`,
+                        nodeId: particles[matchIndex].node.id,
+                        xpath: childPath
+                    });
+                }
+                branches.add(match.branchIndex);
+            }
+
+            validateElement(childEl, matchedNode, childPath);
+        });
+
+        // 檢查基數 (缺少必要元素 / 出現次數超過上限)
+        // repeat：所在 Sequence 可重複的次數上限，元素的上限隨之放大
+        const checkBounds = (particleNode, count, repeat = 1) => {
+            const bounds = parseCardinality(particleNode.cardinality);
+            if (!bounds) return;
+            if (count === 0 && bounds.min >= 1) {
+                issues.push({
+                    type: 'missing',
+                    message: `缺少必要元素 ${particleNode.name} (${describeBounds(particleNode.cardinality)})`,
+                    nodeId: particleNode.id,
+                    xpath
+                });
+            } else if (count < bounds.min || count > bounds.max * repeat) {
+                issues.push({
+                    type: 'cardinality',
+                    message: `${particleNode.name} 出現 ${count} 次，不符合基數 ${describeBounds(particleNode.cardinality)}`,
+                    nodeId: particleNode.id,
+                    xpath
+                });
+            }
+        };
+
+        // 群組內所有元素的出現次數
+        const countIn = (particle) => (particle.kind === 'element'
+            ? elementCounts.get(particle.node.id) || 0
+            : (particle.branches || particle.items).reduce((sum, item) => sum + countIn(item), 0));
+
+        const checkChoiceBranches = (choice) => {
+            choice.branches.forEach(branch => {
+                if (branch.kind === 'choice') {
+                    checkChoiceBranches(branch);
+                    return;
+                }
+                // 已選的 Sequence 分支：其中每個元素依自身基數檢查 (含缺少必要元素)
+                if (branch.kind === 'sequence') {
+                    if (countIn(branch) > 0) checkParticle(branch, countIn(branch));
+                    return;
+                }
+                const count = elementCounts.get(branch.node.id) || 0;
+                const bounds = parseCardinality(branch.node.cardinality);
+                if (count > 0 && bounds && (count < bounds.min || count > bounds.max)) {
+                    checkBounds(branch.node, count);
+                }
+            });
+        };
+
+        const checkParticle = (particle, count, repeat = 1) => {
+            if (particle.kind === 'element') {
+                checkBounds(particle.node, count, repeat);
+                return;
+            }
+
+            if (particle.kind === 'sequence') {
+                if (count > 0) {
+                    const bounds = parseCardinality(particle.node.cardinality);
+                    const itemRepeat = repeat * (bounds ? bounds.max : 1);
+                    particle.items.forEach(item => checkParticle(item, countIn(item), itemRepeat));
+                } else if (isMandatory(particle.node.cardinality)) {
+                    issues.push({
+                        type: 'missing',
+                        message: `缺少必要元素 ${describeParticle(particle)}`,
+                        nodeId: particle.node.id,
+                        xpath
+                    });
+                }
+                return;
+            }
+
+            // Choice：未選任何分支時依 Choice 本身的基數判斷，已選分支則檢查該分支的基數
+            if (count === 0) {
+                const bounds = parseCardinality(particle.node.cardinality);
+                if (!bounds || bounds.min >= 1) {
+                    issues.push({
+                        type: 'missing',
+                        message: `Choice 缺少分支 (可選: ${particle.branches.map(describeParticle).join(' | ')})`,
+                        nodeId: particle.node.id,
+                        xpath
+                    });
+                }
+            } else {
+                checkChoiceBranches(particle);
+            }
+        };
+
+        particles.forEach((particle, j) => checkParticle(particle, counts[j]));
+    };
+
+    validateElement(rootEl, rootNode, `/${rootEl.localName}`);
+    return issues;
+};
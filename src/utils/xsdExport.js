@@ -0,0 +1,113 @@
+/**
+ * XML Schema (XSD) Export
+ * Builds an XSD from the parsed spec tree: nesting becomes xs:sequence,
+ * Choice nodes become xs:choice, Sequence nodes xs:sequence, definitions become xs:documentation and
+ * cardinality becomes minOccurs / maxOccurs.
+ */
+
+import { parseCardinality } from './cardinality';
+import { isChoiceNode, isGroupNode, getElementNames, buildChildrenMap } from './specTree';
+import { toXmlName, escapeXml } from './xmlGenerator';
+
+const INDENT = '  ';
+
+/**
+ * Build minOccurs / maxOccurs attributes (omitted when equal to the XSD default of 1)
+ * @param {string} cardinality
+ * @returns {string}
+ */
+const occursAttributes = (cardinality) => {
+    const bounds = parseCardinality(cardinality);
+    if (!bounds) return '';
+
+    let attrs = '';
+    if (bounds.min !== 1) attrs += ` minOccurs="${bounds.min}"`;
+    if (bounds.max === Infinity) attrs += ' maxOccurs="unbounded"';
+    else if (bounds.max !== 1) attrs += ` maxOccurs="${bounds.max}"`;
+    return attrs;
+};
+
+/**
+ * Generate an XSD document from the spec tree
+ * @param {Array<Object>} data - parsed spec nodes
+ * @param {{sourceName?: string}} [options] - source file name written into the header comment
+ * @returns {string} XSD text
+ */
+export const generateXsd = (data, { sourceName = '' } = {}) => {
+    const childrenMap = buildChildrenMap(data);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        ...(sourceName ? [`<!-- Generated from ${escapeXml(sourceName).replace(/--/g, '- -')} -->`] : []),
+        '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" elementFormDefault="qualified">',
+    ];
+
+    const writeDocumentation = (description, pad) => {
+        if (!description) return;
+        lines.push(`${pad}<xs:annotation>`);
+        lines.push(`${pad}${INDENT}<xs:documentation>${escapeXml(description)}</xs:documentation>`);
+        lines.push(`${pad}</xs:annotation>`);
+    };
+
+    const writeParticles = (nodeId, pad) => {
+        (childrenMap.get(nodeId) || []).forEach(child => writeParticle(child, pad));
+    };
+
+    const writeParticle = (node, pad) => {
+        const children = childrenMap.get(node.id) || [];
+
+        if (isGroupNode(node)) {
+            if (children.length === 0) return;
+            const tag = isChoiceNode(node) ? 'xs:choice' : 'xs:sequence';
+            lines.push(`${pad}<${tag}${occursAttributes(node.cardinality)}>`);
+            writeDocumentation(node.description, pad + INDENT);
+            writeParticles(node.id, pad + INDENT);
+            lines.push(`${pad}</${tag}>`);
+            return;
+        }
+
+        const names = getElementNames(node).map(toXmlName);
+        if (names.length === 0) return;
+
+        // 複合名稱：外層元素帶基數與說明，內層元素各出現一次
+        const writeElement = (depth, elementPad) => {
+            const name = names[depth];
+            const isOuter = depth === 0;
+            const isInner = depth === names.length - 1;
+            const occurs = isOuter ? occursAttributes(node.cardinality) : '';
+
+            if (isInner && children.length === 0) {
+                if (isOuter && node.description) {
+                    lines.push(`${elementPad}<xs:element name="${name}" type="xs:string"${occurs}>`);
+                    writeDocumentation(node.description, elementPad + INDENT);
+                    lines.push(`${elementPad}</xs:element>`);
+                } else {
+                    lines.push(`${elementPad}<xs:element name="${name}" type="xs:string"${occurs}/>`);
+                }
+                return;
+            }
+
+            lines.push(`${elementPad}<xs:element name="${name}"${occurs}>`);
+            if (isOuter) writeDocumentation(node.description, elementPad + INDENT);
+            lines.push(`${elementPad}${INDENT}<xs:complexType>`);
+            lines.push(`${elementPad}${INDENT}${INDENT}<xs:sequence>`);
+            if (isInner) {
+                writeParticles(node.id, elementPad + INDENT.repeat(3));
+            } else {
+                writeElement(depth + 1, elementPad + INDENT.repeat(3));
+            }
+            lines.push(`${elementPad}${INDENT}${INDENT}</xs:sequence>`);
+            lines.push(`${elementPad}${INDENT}</xs:complexType>`);
+            lines.push(`${elementPad}</xs:element>`);
+        };
+
+        writeElement(0, pad);
+    };
+
+    // 根元素為全域元素 (不帶基數)
+    (childrenMap.get(0) || []).filter(root => !isGroupNode(root)).forEach(root => {
+        writeParticle({ ...root, cardinality: '' }, INDENT);
+    });
+
+    lines.push('</xs:schema>');
+    return lines.join('\n') + '\n';
+};
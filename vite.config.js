@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // 本機 REST 後端 (npm run server)
+    proxy: {
+      '/api': 'http://127.0.0.1:8787',
+    },
+  },
 })